@@ -0,0 +1,149 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/**
+ * XEN Batch Factory - many XEN mints from one wallet
+ *
+ * XENCrypto allows one mint per address. The factory gives every owner a numbered set of
+ * EIP-1167 minimal proxies, deployed with CREATE2 so their addresses are known in advance,
+ * and claims a rank through each. Proxies whose mint has been harvested are reused before
+ * new ones are deployed, so the work of a call grows with its own batch, never with the number
+ * of proxies the owner has. Rewards are sent to the owner when harvested.
+ */
+
+interface IXENCrypto {
+    function claimRank(uint256 term) external;
+    function claimMintReward() external;
+    function userMints(address account)
+        external
+        view
+        returns (address user, uint256 term, uint256 maturityTs, uint256 rank, uint256 amplifier, uint256 eaaRate);
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+// Implementation behind every proxy. Immutables live in this contract's code, so each proxy
+// sees the factory that deployed the implementation and accepts calls only from it.
+contract XENProxy {
+    address private immutable factory;
+    IXENCrypto private immutable xen;
+
+    constructor(IXENCrypto xen_) {
+        factory = msg.sender;
+        xen = xen_;
+    }
+
+    modifier onlyFactory() {
+        require(msg.sender == factory, "XENProxy: caller is not the factory");
+        _;
+    }
+
+    function claimRank(uint256 term) external onlyFactory {
+        xen.claimRank(term);
+    }
+
+    function claimMintRewardTo(address to) external onlyFactory {
+        xen.claimMintReward();
+        require(xen.transfer(to, xen.balanceOf(address(this))), "XENProxy: transfer failed");
+    }
+}
+
+contract XENBatchFactory {
+    IXENCrypto public immutable xen;
+    address public immutable implementation;
+
+    // Proxies deployed for each owner; their indices run from 0 to proxyCount - 1
+    mapping(address => uint256) public proxyCount;
+
+    // Indices of each owner's harvested proxies, reused last in, first out. A proxy can only
+    // be harvested through this factory, so the list is exact.
+    mapping(address => uint256[]) private idle;
+
+    event ProxyDeployed(address indexed owner, uint256 indexed index, address proxy);
+    event BatchClaimed(address indexed owner, uint256 term, uint256[] indices);
+    event BatchHarvested(address indexed owner, uint256[] indices);
+
+    constructor(IXENCrypto xen_) {
+        xen = xen_;
+        implementation = address(new XENProxy(xen_));
+    }
+
+    // Claim `count` ranks of `term` days. Idle proxies are used first, then new proxies are
+    // deployed. Returns the indices that were used.
+    function bulkClaimRank(uint256 count, uint256 term) external returns (uint256[] memory indices) {
+        require(count > 0, "XENBatchFactory: count is zero");
+
+        indices = new uint256[](count);
+        uint256 claimed;
+        uint256[] storage idleIndices = idle[msg.sender];
+
+        while (claimed < count && idleIndices.length > 0) {
+            uint256 index = idleIndices[idleIndices.length - 1];
+            idleIndices.pop();
+            XENProxy(proxyAddress(msg.sender, index)).claimRank(term);
+            indices[claimed++] = index;
+        }
+
+        while (claimed < count) {
+            uint256 index = proxyCount[msg.sender]++;
+            XENProxy(_deploy(msg.sender, index)).claimRank(term);
+            indices[claimed++] = index;
+        }
+
+        emit BatchClaimed(msg.sender, term, indices);
+    }
+
+    // Harvest the mints of the given proxies in one transaction; the rewards go to the owner.
+    // Reverts if any of them has not matured.
+    function bulkClaimMintReward(uint256[] calldata indices) external {
+        require(indices.length > 0, "XENBatchFactory: no proxies");
+
+        uint256 count = proxyCount[msg.sender];
+        for (uint256 i; i < indices.length; i++) {
+            require(indices[i] < count, "XENBatchFactory: unknown proxy");
+            // Reverts for a proxy without a mint, so an index is never listed as idle twice
+            XENProxy(proxyAddress(msg.sender, indices[i])).claimMintRewardTo(msg.sender);
+            idle[msg.sender].push(indices[i]);
+        }
+
+        emit BatchHarvested(msg.sender, indices);
+    }
+
+    // Indices of the owner's proxies that have no mint in progress
+    function idleProxies(address owner) external view returns (uint256[] memory) {
+        return idle[owner];
+    }
+
+    // Address of an owner's proxy, whether or not it has been deployed yet
+    function proxyAddress(address owner, uint256 index) public view returns (address) {
+        bytes32 hash = keccak256(
+            abi.encodePacked(bytes1(0xff), address(this), _salt(owner, index), keccak256(_cloneCode()))
+        );
+        return address(uint160(uint256(hash)));
+    }
+
+    function _deploy(address owner, uint256 index) private returns (address proxy) {
+        bytes memory code = _cloneCode();
+        bytes32 salt = _salt(owner, index);
+
+        assembly {
+            proxy := create2(0, add(code, 0x20), mload(code), salt)
+        }
+        require(proxy != address(0), "XENBatchFactory: deployment failed");
+
+        emit ProxyDeployed(owner, index, proxy);
+    }
+
+    function _salt(address owner, uint256 index) private pure returns (bytes32) {
+        return keccak256(abi.encodePacked(owner, index));
+    }
+
+    // EIP-1167 creation code for a proxy delegating every call to the implementation
+    function _cloneCode() private view returns (bytes memory) {
+        return abi.encodePacked(
+            hex"3d602d80600a3d3981f3363d3d373d3d3d363d73",
+            implementation,
+            hex"5af43d82803e903d91602b57fd5bf3"
+        );
+    }
+}
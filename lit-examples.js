@@ -3,8 +3,8 @@
  * Demonstrating different types of Live Information Tokens
  */
 
-// Initialize the composer
-const composer = new LITComposer();
+// Initialize the composer; the factories below build the standard typed LITs
+const composer = new LITComposer({ standardTypes: true });
 
 // Example 1: A Knowledge LIT
 // This LIT contains coherent information about a concept
@@ -368,7 +368,7 @@ function demonstrateLITs() {
     console.log(`Process: ${processLit.content.name}`);
 
     for (let i = 0; i < 3; i++) {
-        const result = processLit.agentSystem.executeCapability('execute', { lit: processLit });
+        const result = processLit.executeCapability('execute');
         console.log(`Step ${i + 1}:`, result);
         processLit.interact('execute', { impact: 0.2 });
     }
@@ -376,8 +376,7 @@ function demonstrateLITs() {
     console.log('\n--- Generating with Creative LIT ---');
     const creativeLit = network.creative[0];
     for (let i = 0; i < 2; i++) {
-        const output = creativeLit.agentSystem.executeCapability('generate', {
-            lit: creativeLit,
+        const output = creativeLit.executeCapability('generate', {
             seed: Date.now() + i
         });
         console.log(`Generated:`, output);
@@ -386,8 +385,7 @@ function demonstrateLITs() {
 
     console.log('\n--- Making Predictions ---');
     const predLit = network.prediction[0];
-    const pred = predLit.agentSystem.executeCapability('predict', {
-        lit: predLit,
+    const pred = predLit.executeCapability('predict', {
         input: 'future-coherence'
     });
     console.log('Prediction:', pred);
@@ -7,27 +7,328 @@
  * Value = f(coherence, agency, temporal_signature)
  */
 
+// Clocks and randomness are read through a context so runs can be reproduced
+class SystemClock {
+    now() {
+        return Date.now();
+    }
+}
+
+class ManualClock {
+    constructor(start = 0) {
+        this.time = start;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+        return this.time;
+    }
+
+    set(time) {
+        this.time = time;
+    }
+}
+
+// Mulberry32 - small, fast and good enough for simulations
+class SeededRandom {
+    constructor(seed = 1) {
+        this.state = seed >>> 0;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+class LITContext {
+    constructor(options = {}) {
+        this.clock = options.clock || new SystemClock();
+        this.rng = options.random || (options.seed !== undefined ? new SeededRandom(options.seed) : null);
+    }
+
+    now() {
+        return this.clock.now();
+    }
+
+    random() {
+        return this.rng ? this.rng.next() : Math.random();
+    }
+
+    // A fully deterministic context: manual clock plus seeded RNG
+    static seeded(seed, startTime = 0) {
+        return new LITContext({ clock: new ManualClock(startTime), seed });
+    }
+}
+
+const defaultContext = new LITContext();
+
+// Async work - cancellation, timeouts and concurrency limits
+class LITTimeoutError extends Error {
+    constructor(message, timeout) {
+        super(message);
+        this.name = 'LITTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+// Run task(signal), rejecting as soon as options.signal aborts or options.timeout (ms) passes.
+// The task's signal aborts too, so well-behaved tasks can stop their own work. A task still
+// running when it is cancelled is passed to options.onOrphan as a promise of its settling.
+function runCancellable(task, options = {}) {
+    const { signal = null, timeout = null, label = 'Operation', onOrphan = null } = options;
+    const controller = new AbortController();
+
+    return new Promise((resolve, reject) => {
+        let timer = null;
+        let running = null;
+        const onAbort = () => abort(signal.reason);
+        const cleanup = () => {
+            if (timer) clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const abort = reason => {
+            cleanup();
+            controller.abort(reason);
+            if (running && onOrphan) onOrphan(running);
+            reject(reason);
+        };
+
+        if (signal) {
+            if (signal.aborted) return abort(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        if (timeout !== null && timeout !== undefined) {
+            timer = setTimeout(() => abort(new LITTimeoutError(`${label} timed out after ${timeout}ms`, timeout)), timeout);
+        }
+
+        const result = Promise.resolve().then(() => task(controller.signal));
+        running = result.then(() => {}, () => {});
+        result.then(
+            value => {
+                if (controller.signal.aborted) return;
+                cleanup();
+                resolve(value);
+            },
+            err => {
+                if (controller.signal.aborted) return;
+                cleanup();
+                reject(err);
+            }
+        );
+    });
+}
+
+// Runs at most `limit` tasks at once; the rest wait in order. A queued task whose
+// signal aborts leaves the queue without running.
+class ConcurrencyLimiter {
+    constructor(limit = Infinity) {
+        this.limit = limit;
+        this.active = 0;
+        this.orphaned = 0; // Cancelled tasks that ignored their signal and are still running
+        this.queue = [];
+    }
+
+    // runCancellable under the limit. A cancelled task gives up its slot at once, so one that
+    // never settles cannot block the queue; until it settles it is counted in orphaned instead.
+    runCancellable(task, options = {}) {
+        const onOrphan = running => {
+            this.orphaned++;
+            running.then(() => {
+                this.orphaned--;
+            });
+        };
+        return this.run(() => runCancellable(task, { ...options, onOrphan }), options.signal);
+    }
+
+    run(task, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const onAbort = () => {
+                this.queue = this.queue.filter(entry => entry !== start);
+                reject(signal.reason);
+            };
+            const start = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                this.active++;
+                Promise.resolve()
+                    .then(task)
+                    .then(resolve, reject)
+                    .then(() => {
+                        this.active--;
+                        this.next();
+                    });
+            };
+
+            if (this.active < this.limit) {
+                start();
+            } else {
+                this.queue.push(start);
+                if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    next() {
+        if (this.queue.length > 0 && this.active < this.limit) {
+            this.queue.shift()();
+        }
+    }
+}
+
+// Content hashing - canonical JSON (sorted keys) digested with SHA-256
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => item === undefined ? 'null' : canonicalJSON(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        if (typeof value.toJSON === 'function') return canonicalJSON(value.toJSON());
+
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+// Synchronous SHA-256 of a string (UTF-8), as lowercase hex
+function sha256(message) {
+    const bytes = Array.from(new TextEncoder().encode(message));
+    const bitLength = bytes.length * 8;
+
+    bytes.push(0x80);
+    while (bytes.length % 64 !== 56) bytes.push(0);
+    for (let shift = 56; shift >= 0; shift -= 8) {
+        bytes.push(shift >= 32 ? Math.floor(bitLength / 2 ** shift) & 0xff : (bitLength >>> shift) & 0xff);
+    }
+
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    const w = new Array(64);
+
+    for (let offset = 0; offset < bytes.length; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g; g = f; f = e; e = (d + t1) | 0;
+            d = c; c = b; b = a; a = (t1 + t2) | 0;
+        }
+
+        [a, b, c, d, e, f, g, h].forEach((value, i) => {
+            hash[i] = (hash[i] + value) | 0;
+        });
+    }
+
+    return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+function hashContent(value) {
+    return sha256(canonicalJSON(value));
+}
+
+function cloneContent(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        Object.values(value).forEach(deepFreeze);
+    }
+    return value;
+}
+
+// Structural diff: [{ path, kind: 'added' | 'removed' | 'changed', from, to }]
+function diffContent(before, after, path = '') {
+    const isObject = value => value && typeof value === 'object';
+
+    if (!isObject(before) || !isObject(after) || Array.isArray(before) !== Array.isArray(after)) {
+        return canonicalJSON(before) === canonicalJSON(after) ? [] : [{ path, kind: 'changed', from: before, to: after }];
+    }
+
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    keys.forEach(key => {
+        const childPath = Array.isArray(after) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+        if (!(key in after)) {
+            changes.push({ path: childPath, kind: 'removed', from: before[key], to: undefined });
+        } else if (!(key in before)) {
+            changes.push({ path: childPath, kind: 'added', from: undefined, to: after[key] });
+        } else {
+            changes.push(...diffContent(before[key], after[key], childPath));
+        }
+    });
+
+    return changes;
+}
+
+function bumpVersion(version, level) {
+    const [major, minor, patch] = String(version).split('.').map(n => parseInt(n, 10) || 0);
+
+    if (level === 'major') return `${major + 1}.0.0`;
+    if (level === 'minor') return `${major}.${minor + 1}.0`;
+    return `${major}.${minor}.${patch + 1}`;
+}
+
 class TemporalSignature {
-    constructor() {
-        this.createdAt = Date.now();
-        this.lastModified = Date.now();
+    constructor(context = defaultContext) {
+        this.context = context;
+        this.createdAt = context.now();
+        this.lastModified = this.createdAt;
         this.interactions = [];
         this.persistence = 0; // Measured in quantum time units
     }
 
     record(interaction) {
+        const now = this.context.now();
         this.interactions.push({
-            timestamp: Date.now(),
+            timestamp: now,
             type: interaction.type,
             impact: interaction.impact
         });
-        this.lastModified = Date.now();
+        this.lastModified = now;
         this.updatePersistence();
     }
 
     updatePersistence() {
-        const age = Date.now() - this.createdAt;
-        const interactionDensity = this.interactions.length / (age / 1000);
+        const age = this.context.now() - this.createdAt;
+        // Guard against a zero age, which a manual clock makes routine
+        const interactionDensity = this.interactions.length / (Math.max(1, age) / 1000);
         this.persistence = Math.log(1 + age) * (1 + interactionDensity);
     }
 
@@ -39,15 +340,67 @@ class TemporalSignature {
     }
 
     get temporalValue() {
-        const age = Date.now() - this.createdAt;
+        return this.valueAt(this.context.now());
+    }
+
+    valueAt(time) {
+        const age = time - this.createdAt;
         const decay = Math.exp(-age / this.halfLife);
         return this.persistence * decay;
     }
+
+    toJSON() {
+        return {
+            createdAt: this.createdAt,
+            lastModified: this.lastModified,
+            interactions: this.interactions.map(i => ({ ...i })),
+            persistence: this.persistence
+        };
+    }
+
+    static fromJSON(data = {}, context = defaultContext) {
+        const signature = new TemporalSignature(context);
+        signature.createdAt = data.createdAt ?? signature.createdAt;
+        signature.lastModified = data.lastModified ?? signature.lastModified;
+        signature.interactions = (data.interactions || []).map(i => ({ ...i }));
+        // Restore the recorded persistence rather than recomputing it against a new clock
+        signature.persistence = data.persistence ?? 0;
+        return signature;
+    }
+}
+
+// Maps capability names to handlers so restored LITs can reattach behaviour.
+// Handlers may be scoped to a LIT type; unscoped handlers apply to every type.
+class CapabilityRegistry {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    register(name, handler, type = null) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Capability "${name}" handler must be a function`);
+        }
+        this.handlers.set(this.key(name, type), handler);
+        return this;
+    }
+
+    resolve(name, type = null) {
+        return this.handlers.get(this.key(name, type)) || this.handlers.get(this.key(name, null)) || null;
+    }
+
+    has(name, type = null) {
+        return this.resolve(name, type) !== null;
+    }
+
+    key(name, type) {
+        return type ? `${type}:${name}` : name;
+    }
 }
 
 class AgentSystem {
     constructor(capabilities = []) {
-        this.capabilities = capabilities;
+        // Capabilities passed in config usually omit the use counter
+        this.capabilities = capabilities.map(c => ({ ...c, uses: c.uses || 0 }));
         this.autonomy = 0;
         this.intentionality = 0;
         this.effectivity = 0;
@@ -59,10 +412,7 @@ class AgentSystem {
     }
 
     executeCapability(name, context) {
-        const capability = this.capabilities.find(c => c.name === name);
-        if (!capability) {
-            throw new Error(`Capability "${name}" not found`);
-        }
+        const capability = this.executable(name);
 
         capability.uses++;
         const result = capability.handler(context);
@@ -71,6 +421,33 @@ class AgentSystem {
         return result;
     }
 
+    // The handler receives context.signal. Uses and agency only change once it resolves.
+    // options: { signal, timeout, limiter }
+    async executeCapabilityAsync(name, context = {}, options = {}) {
+        const capability = this.executable(name);
+        const task = signal => capability.handler({ ...context, signal });
+        const cancellation = { signal: options.signal, timeout: options.timeout, label: `Capability "${name}"` };
+
+        const result = await (options.limiter
+            ? options.limiter.runCancellable(task, cancellation)
+            : runCancellable(task, cancellation));
+        capability.uses++;
+        this.calculateAgency();
+
+        return result;
+    }
+
+    executable(name) {
+        const capability = this.capabilities.find(c => c.name === name);
+        if (!capability) {
+            throw new Error(`Capability "${name}" not found`);
+        }
+        if (typeof capability.handler !== 'function') {
+            throw new Error(`Capability "${name}" has no handler attached`);
+        }
+        return capability;
+    }
+
     calculateAgency() {
         // Autonomy: Can the LIT act without external input?
         this.autonomy = Math.min(1, this.capabilities.length / 10);
@@ -87,6 +464,30 @@ class AgentSystem {
     get agencyScore() {
         return (this.autonomy + this.intentionality + this.effectivity) / 3;
     }
+
+    toJSON() {
+        return {
+            capabilities: this.capabilities.map(c => ({ name: c.name, uses: c.uses || 0 })),
+            autonomy: this.autonomy,
+            intentionality: this.intentionality,
+            effectivity: this.effectivity
+        };
+    }
+
+    static fromJSON(data = {}, registry = null, type = null) {
+        // Capabilities without a registered handler keep their metadata so agency is preserved
+        const capabilities = (data.capabilities || []).map(c => ({
+            name: c.name,
+            handler: registry ? registry.resolve(c.name, type) : null,
+            uses: c.uses || 0
+        }));
+
+        const system = new AgentSystem(capabilities);
+        system.autonomy = data.autonomy ?? 0;
+        system.intentionality = data.intentionality ?? 0;
+        system.effectivity = data.effectivity ?? 0;
+        return system;
+    }
 }
 
 class CoherenceField {
@@ -171,25 +572,212 @@ class CoherenceField {
     }
 }
 
-class LIT {
+// Minimal event emitter shared by LITs and the composer.
+// Listeners receive one event object: { type, timestamp, ...detail }.
+// Subscribe to '*' to receive every event.
+class LITEventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    once(type, listener) {
+        const unsubscribe = this.on(type, event => {
+            unsubscribe();
+            listener(event);
+        });
+        return unsubscribe;
+    }
+
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+        this.listeners.set(type, listeners.filter(l => l !== listener));
+    }
+
+    emit(type, detail = {}) {
+        const event = { ...detail, type };
+        const listeners = [...(this.listeners.get(type) || []), ...(this.listeners.get('*') || [])];
+        listeners.forEach(listener => listener(event));
+        return event;
+    }
+}
+
+// Thrown when content does not match its type definition.
+// errors: [{ path, code, message }]
+class LITValidationError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'LITValidationError';
+        this.errors = errors;
+    }
+}
+
+// Declares what a typed LIT looks like: a content schema, required capabilities and defaults.
+//
+// Schema fields: { type, required, min, max, enum, items, properties }
+// where type is 'string', 'number', 'boolean', 'array' or 'object'.
+class LITTypeDefinition {
+    constructor(name, spec = {}) {
+        this.name = name;
+        this.schema = spec.schema || {};
+        this.capabilities = spec.capabilities || [];
+        this.defaults = spec.defaults || {};
+    }
+
+    // Apply defaults, attach missing required capabilities from the registry, then validate
+    prepare(config, registry = null) {
+        const content = this.applyDefaults(config.content || {});
+        const capabilities = [...(config.capabilities || [])];
+
+        this.capabilities.forEach(name => {
+            if (!registry || capabilities.some(c => c.name === name)) return;
+
+            const handler = registry.resolve(name, this.name);
+            if (handler) capabilities.push({ name, handler });
+        });
+
+        this.assertValid(content, capabilities);
+        return { ...config, content, capabilities };
+    }
+
+    applyDefaults(content) {
+        if (typeof content !== 'object' || content === null || Array.isArray(content)) return content;
+
+        const defaults = typeof this.defaults === 'function' ? this.defaults(content) : this.defaults;
+        const result = { ...content };
+
+        Object.entries(defaults).forEach(([key, value]) => {
+            if (result[key] === undefined) {
+                result[key] = JSON.parse(JSON.stringify(value));
+            }
+        });
+
+        return result;
+    }
+
+    validate(content, capabilities = null) {
+        const errors = [];
+
+        if (typeof content !== 'object' || content === null || Array.isArray(content)) {
+            errors.push({ path: 'content', code: 'type', message: `${this.name} content must be an object` });
+        } else {
+            this.validateFields(content, this.schema, 'content', errors);
+        }
+
+        // Capabilities are only checked at composition; transforms cannot remove them
+        if (capabilities) {
+            this.capabilities
+                .filter(name => !capabilities.some(c => c.name === name))
+                .forEach(name => errors.push({
+                    path: `capabilities.${name}`,
+                    code: 'capability',
+                    message: `${this.name} LITs require the "${name}" capability`
+                }));
+        }
+
+        return errors;
+    }
+
+    validateFields(object, schema, path, errors) {
+        Object.entries(schema).forEach(([key, field]) => {
+            this.validateValue(object[key], field, `${path}.${key}`, errors);
+        });
+    }
+
+    validateValue(value, field, path, errors) {
+        if (value === undefined || value === null) {
+            if (field.required) {
+                errors.push({ path, code: 'required', message: `${path} is required` });
+            }
+            return;
+        }
+
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (field.type && actualType !== field.type) {
+            errors.push({ path, code: 'type', message: `${path} must be ${field.type}, got ${actualType}` });
+            return;
+        }
+
+        if (field.enum && !field.enum.includes(value)) {
+            errors.push({ path, code: 'enum', message: `${path} must be one of: ${field.enum.join(', ')}` });
+        }
+
+        // min/max bound numbers by value, strings and arrays by length
+        const size = actualType === 'number' ? value : value.length;
+        if (field.min !== undefined && size < field.min) {
+            errors.push({ path, code: 'min', message: `${path} must be at least ${field.min}` });
+        }
+        if (field.max !== undefined && size > field.max) {
+            errors.push({ path, code: 'max', message: `${path} must be at most ${field.max}` });
+        }
+
+        if (field.items && actualType === 'array') {
+            value.forEach((item, i) => this.validateValue(item, field.items, `${path}[${i}]`, errors));
+        }
+        if (field.properties && actualType === 'object') {
+            this.validateFields(value, field.properties, path, errors);
+        }
+    }
+
+    assertValid(content, capabilities = null) {
+        const errors = this.validate(content, capabilities);
+        if (errors.length > 0) {
+            throw new LITValidationError(`Invalid ${this.name} LIT: ${errors.map(e => e.message).join('; ')}`, errors);
+        }
+    }
+}
+
+// Bump when the snapshot layout written by LIT.toJSON changes
+const SNAPSHOT_VERSION = 3;
+
+class LIT extends LITEventEmitter {
     constructor(config = {}) {
-        // Core identity
-        this.id = config.id || this.generateId();
+        super();
+
+        // Clock and randomness source
+        this.context = config.context || defaultContext;
+
+        // Core identity - 'content' addressing derives the ID from type, content and relations
+        this.addressing = config.addressing || 'random';
         this.type = config.type || 'generic';
         this.version = config.version || '1.0.0';
 
         // Content
         this.content = config.content || {};
         this.metadata = config.metadata || {};
+        this.id = config.id || (this.addressing === 'content'
+            ? LIT.address(this.type, this.content, config.relations || [])
+            : this.generateId());
 
         // Three pillars of LIT value
         this.coherenceField = new CoherenceField(this.content);
         this.agentSystem = new AgentSystem(config.capabilities || []);
-        this.temporalSignature = new TemporalSignature();
+        this.temporalSignature = new TemporalSignature(this.context);
 
         // Relations to other LITs
         this.relations = config.relations || [];
 
+        // Set by the composer when it values LITs by their place in the relation graph
+        this.valuation = null;
+
+        // Set by the composer to cap concurrent async capabilities; see executeCapabilityAsync
+        this.limiter = null;
+
+        // Set by the composer for registered types; guards transform()
+        this.typeDefinition = null;
+
+        // Immutable content history, one revision per transform
+        this.revisions = [];
+        this.recordRevision({ operation: 'create', coherenceBefore: null, relations: this.relations });
+
         // State
         this.state = 'nascent'; // nascent, stable, resonant, transcendent, decaying
 
@@ -198,14 +786,15 @@ class LIT {
     }
 
     generateId() {
-        const timestamp = Date.now().toString(36);
-        const random = Math.random().toString(36).substring(2, 9);
+        const timestamp = this.context.now().toString(36);
+        const random = this.context.random().toString(36).substring(2, 9);
         return `LIT-${timestamp}-${random}`;
     }
 
     // Core interaction methods
     interact(type, data) {
         this.temporalSignature.record({ type, impact: data.impact || 0.1 });
+        this.notify('interacted', { interaction: type, data });
         this.updateState();
 
         return {
@@ -216,97 +805,638 @@ class LIT {
         };
     }
 
-    transform(transformFn) {
+    // options.bump forces 'major', 'minor' or 'patch'; otherwise added or removed
+    // top-level keys bump minor and anything else bumps patch
+    transform(transformFn, options = {}) {
+        const previousContent = this.content;
+        const coherenceBefore = this.coherenceField.coherenceScore;
         const newContent = transformFn(this.content);
+
+        if (this.typeDefinition) {
+            this.typeDefinition.assertValid(newContent);
+        }
+
+        const shape = content => (content && typeof content === 'object' ? Object.keys(content).sort().join() : typeof content);
+        const structural = shape(this.revisions[this.revisions.length - 1].content) !== shape(newContent);
+
         this.content = newContent;
+        this.version = bumpVersion(this.version, options.bump || (structural ? 'minor' : 'patch'));
         this.coherenceField = new CoherenceField(this.content);
+        const revision = this.recordRevision({
+            operation: options.operation || 'transform',
+            coherenceBefore,
+            revertedTo: options.revertedTo
+        });
+
         this.temporalSignature.record({ type: 'transform', impact: 0.5 });
+        this.notify('transformed', { previousContent, revision });
         this.updateState();
 
         return this;
     }
 
-    relate(otherLit, relationType) {
-        this.relations.push({
-            targetId: otherLit.id,
-            type: relationType,
-            establishedAt: Date.now()
-        });
+    // Versioning
+    recordRevision({ operation, coherenceBefore, revertedTo, relations }) {
+        const head = this.revisions[this.revisions.length - 1];
+        const content = cloneContent(this.content);
 
-        this.temporalSignature.record({ type: 'relate', impact: 0.3 });
-        return this;
-    }
+        const revision = {
+            number: head ? head.number + 1 : 0,
+            parent: head ? head.number : null,
+            parentHash: head ? head.hash : null,
+            operation,
+            contentHash: hashContent(content),
+            version: this.version,
+            timestamp: this.context.now(),
+            coherenceBefore,
+            coherenceAfter: this.coherenceField.coherenceScore,
+            ...(revertedTo !== undefined ? { revertedTo } : {}),
+            // The genesis revision keeps the relations the LIT was created with, which its address covers
+            ...(relations ? { relations: LIT.normalizeRelations(relations) } : {}),
+            content
+        };
+        revision.hash = LIT.revisionHash(revision);
 
-    // Value calculation
-    calculateValue() {
-        const coherence = this.coherenceField.coherenceScore;
-        const agency = this.agentSystem.agencyScore;
-        const temporal = this.temporalSignature.temporalValue;
+        deepFreeze(revision);
+        this.revisions.push(revision);
+        return revision;
+    }
 
-        // Value is emergent from the interaction of all three factors
-        const baseValue = (coherence * 0.4 + agency * 0.35 + temporal * 0.25);
+    // Covers every field of the revision, including the hash of its parent, so no revision can
+    // be changed without changing every hash after it
+    static revisionHash(revision) {
+        const { hash, ...fields } = revision;
+        return hashContent(fields);
+    }
 
-        // Network effects from relations
-        const networkBonus = Math.log(1 + this.relations.length) / 5;
+    history() {
+        return this.revisions.slice();
+    }
 
-        return Math.min(1, baseValue * (1 + networkBonus));
+    revision(number) {
+        const revision = this.revisions.find(r => r.number === number);
+        if (!revision) {
+            throw new Error(`Revision ${number} of LIT "${this.id}" not found`);
+        }
+        return revision;
     }
 
-    updateState() {
-        const value = this.calculateValue();
+    // Changes from revision a to revision b (defaults to the latest)
+    diff(a, b = this.revisions[this.revisions.length - 1].number) {
+        return diffContent(this.revision(a).content, this.revision(b).content);
+    }
 
-        if (value < 0.2) {
-            this.state = 'decaying';
-        } else if (value < 0.4) {
-            this.state = 'nascent';
-        } else if (value < 0.6) {
-            this.state = 'stable';
-        } else if (value < 0.8) {
-            this.state = 'resonant';
-        } else {
-            this.state = 'transcendent';
-        }
+    // Restores past content as a new revision; history is never rewritten
+    revert(number, options = {}) {
+        const target = this.revision(number);
+        return this.transform(() => cloneContent(target.content), { ...options, operation: 'revert', revertedTo: number });
     }
 
-    // Serialization
-    toJSON() {
+    // Config for a new LIT starting from a past revision, linked back by a 'forked-from' relation
+    forkConfig(number, overrides = {}) {
+        const source = this.revision(number);
+
         return {
-            id: this.id,
             type: this.type,
-            version: this.version,
-            content: this.content,
-            metadata: this.metadata,
-            value: this.calculateValue(),
-            coherence: this.coherenceField.coherenceScore,
-            agency: this.agentSystem.agencyScore,
-            temporal: this.temporalSignature.temporalValue,
-            state: this.state,
+            version: source.version,
+            content: cloneContent(source.content),
+            metadata: { ...cloneContent(this.metadata), forkedFrom: { id: this.id, revision: number } },
+            capabilities: this.agentSystem.capabilities
+                .filter(c => typeof c.handler === 'function')
+                .map(c => ({ name: c.name, handler: c.handler })),
+            relations: [{ targetId: this.id, type: 'forked-from', establishedAt: this.context.now() }],
+            context: this.context,
+            ...overrides
+        };
+    }
+
+    fork(number, overrides = {}) {
+        return new LIT(this.forkConfig(number, overrides));
+    }
+
+    // Integrity
+    contentHash() {
+        return hashContent(this.content);
+    }
+
+    // Recompute every hash this LIT carries. Detects content changed outside transform(),
+    // edited revisions and, for content-addressed LITs, an ID that no longer matches.
+    verify() {
+        const errors = [];
+
+        this.revisions.forEach((revision, i) => {
+            const previous = this.revisions[i - 1];
+
+            if (hashContent(revision.content) !== revision.contentHash) {
+                errors.push(`Revision ${revision.number} content does not match its hash`);
+            }
+            if (LIT.revisionHash(revision) !== revision.hash) {
+                errors.push(`Revision ${revision.number} does not match its hash`);
+            }
+            if (previous && (revision.parent !== previous.number || revision.parentHash !== previous.hash)) {
+                errors.push(`Revision ${revision.number} does not follow revision ${previous.number}`);
+            }
+            if (!previous && revision.parentHash !== null) {
+                errors.push(`Revision ${revision.number} has a parent outside this history`);
+            }
+        });
+
+        const head = this.revisions[this.revisions.length - 1];
+        if (this.contentHash() !== head.contentHash) {
+            errors.push(`Content does not match revision ${head.number}`);
+        }
+
+        if (this.addressing === 'content') {
+            const genesis = this.revisions[0];
+            if (LIT.address(this.type, genesis.content, genesis.relations || []) !== this.id) {
+                errors.push('ID does not match the genesis content address');
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    // Relations reduced to what identifies them, leaving out when they were made
+    static normalizeRelations(relations) {
+        return relations.map(r => ({ targetId: r.targetId, type: r.type }));
+    }
+
+    static address(type, content, relations = []) {
+        return `LIT-${hashContent({ type, content, relations: LIT.normalizeRelations(relations) })}`;
+    }
+
+    relate(otherLit, relationType) {
+        const relation = {
+            targetId: otherLit.id,
+            type: relationType,
+            establishedAt: this.context.now()
+        };
+        this.relations.push(relation);
+
+        this.temporalSignature.record({ type: 'relate', impact: 0.3 });
+        this.notify('related', { relation, target: otherLit });
+        this.updateState();
+        return this;
+    }
+
+    // Drop relations to another LIT, of one type or all of them
+    unrelate(otherLitOrId, relationType = null) {
+        const targetId = typeof otherLitOrId === 'string' ? otherLitOrId : otherLitOrId.id;
+        const matches = r => r.targetId === targetId && (relationType === null || r.type === relationType);
+        const removed = this.relations.filter(matches);
+
+        this.relations = this.relations.filter(r => !matches(r));
+        removed.forEach(relation => this.notify('unrelated', { relation }));
+        if (removed.length > 0) {
+            this.updateState();
+        }
+        return this;
+    }
+
+    // Run a capability with this LIT in its context. Handlers often edit content in place,
+    // so any change is recorded as a revision to keep the history verifiable.
+    executeCapability(name, context = {}) {
+        const coherenceBefore = this.coherenceField.coherenceScore;
+        const result = this.agentSystem.executeCapability(name, { lit: this, ...context });
+        this.recordCapabilityChanges(name, coherenceBefore);
+        return result;
+    }
+
+    // Async counterpart of executeCapability; options are { signal, timeout, limiter, impact }.
+    // The interaction and any content changes are only recorded if the handler succeeds.
+    async executeCapabilityAsync(name, context = {}, options = {}) {
+        const coherenceBefore = this.coherenceField.coherenceScore;
+        let result;
+
+        try {
+            result = await this.agentSystem.executeCapabilityAsync(
+                name,
+                { lit: this, ...context },
+                { limiter: this.limiter, ...options }
+            );
+        } catch (err) {
+            this.discardCapabilityChanges();
+            throw err;
+        }
+
+        this.temporalSignature.record({ type: `capability:${name}`, impact: options.impact ?? 0.1 });
+        this.recordCapabilityChanges(name, coherenceBefore);
+        this.updateState();
+        return result;
+    }
+
+    // Mutable state, so a failed composer transaction can put the LIT back
+    checkpoint() {
+        const signature = this.temporalSignature;
+        return {
+            content: this.content,
+            version: this.version,
+            coherenceField: this.coherenceField,
+            revisions: this.revisions.length,
+            relations: this.relations.slice(),
+            interactions: signature.interactions.length,
+            lastModified: signature.lastModified,
+            persistence: signature.persistence,
+            state: this.state
+        };
+    }
+
+    restoreCheckpoint(checkpoint) {
+        const signature = this.temporalSignature;
+        this.content = checkpoint.content;
+        this.version = checkpoint.version;
+        this.coherenceField = checkpoint.coherenceField;
+        this.revisions.length = checkpoint.revisions;
+        this.relations = checkpoint.relations.slice();
+        signature.interactions.length = checkpoint.interactions;
+        signature.lastModified = checkpoint.lastModified;
+        signature.persistence = checkpoint.persistence;
+        this.state = checkpoint.state;
+        this.discardCapabilityChanges();
+    }
+
+    // Roll back content a failed handler edited in place
+    discardCapabilityChanges() {
+        const head = this.revisions[this.revisions.length - 1];
+        if (this.contentHash() !== head.contentHash) {
+            this.content = cloneContent(head.content);
+        }
+    }
+
+    recordCapabilityChanges(name, coherenceBefore) {
+        if (this.contentHash() === this.revisions[this.revisions.length - 1].contentHash) return null;
+
+        this.version = bumpVersion(this.version, 'patch');
+        this.coherenceField = new CoherenceField(this.content);
+        const revision = this.recordRevision({ operation: `capability:${name}`, coherenceBefore });
+        this.notify('transformed', { previousContent: this.revision(revision.parent).content, revision });
+        this.updateState();
+        return revision;
+    }
+
+    notify(type, detail = {}) {
+        return this.emit(type, { lit: this, timestamp: this.context.now(), ...detail });
+    }
+
+    // Value calculation
+    calculateValue(now = this.context.now()) {
+        const baseValue = this.calculateBaseValue(now);
+
+        // Network effects - graph influence when the composer values the network, else relation count
+        const networkBonus = this.valuation
+            ? this.valuation.bonus(this, now)
+            : Math.log(1 + this.relations.length) / 5;
+
+        return Math.min(1, baseValue * (1 + networkBonus));
+    }
+
+    // Value is emergent from the interaction of all three factors
+    calculateBaseValue(now = this.context.now()) {
+        const coherence = this.coherenceField.coherenceScore;
+        const agency = this.agentSystem.agencyScore;
+        const temporal = this.temporalSignature.valueAt(now);
+
+        return (coherence * 0.4 + agency * 0.35 + temporal * 0.25);
+    }
+
+    updateState(now = this.context.now()) {
+        const value = this.calculateValue(now);
+        const previousState = this.state;
+
+        if (value < 0.2) {
+            this.state = 'decaying';
+        } else if (value < 0.4) {
+            this.state = 'nascent';
+        } else if (value < 0.6) {
+            this.state = 'stable';
+        } else if (value < 0.8) {
+            this.state = 'resonant';
+        } else {
+            this.state = 'transcendent';
+        }
+
+        if (previousState !== this.state) {
+            this.emit('stateChanged', { lit: this, timestamp: now, from: previousState, to: this.state, value });
+        }
+    }
+
+    // Serialization
+    toJSON() {
+        return {
+            snapshotVersion: SNAPSHOT_VERSION,
+            id: this.id,
+            addressing: this.addressing,
+            type: this.type,
+            version: this.version,
+            content: this.content,
+            metadata: this.metadata,
+            value: this.calculateValue(),
+            coherence: this.coherenceField.coherenceScore,
+            agency: this.agentSystem.agencyScore,
+            temporal: this.temporalSignature.temporalValue,
+            state: this.state,
             relations: this.relations,
-            timestamp: Date.now()
+            temporalSignature: this.temporalSignature.toJSON(),
+            agentSystem: this.agentSystem.toJSON(),
+            revisions: this.revisions,
+            timestamp: this.context.now()
         };
     }
 
-    static fromJSON(data) {
-        return new LIT({
+    static fromJSON(data, options = {}) {
+        const lit = new LIT({
             id: data.id,
+            addressing: data.addressing,
             type: data.type,
             version: data.version,
             content: data.content,
             metadata: data.metadata,
-            relations: data.relations
+            relations: (data.relations || []).map(r => ({ ...r })),
+            context: options.context
+        });
+
+        // Legacy exports carry no snapshot; they restore as freshly composed LITs
+        if (!data.snapshotVersion) {
+            return lit;
+        }
+
+        if (data.snapshotVersion > SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported LIT snapshot version ${data.snapshotVersion}`);
+        }
+
+        lit.temporalSignature = TemporalSignature.fromJSON(data.temporalSignature, lit.context);
+        lit.agentSystem = AgentSystem.fromJSON(data.agentSystem, options.capabilities, lit.type);
+        lit.state = data.state || lit.state;
+
+        // Version 1 snapshots predate revisions and keep the genesis revision made above
+        if (data.revisions && data.revisions.length > 0) {
+            const revisions = data.snapshotVersion < 3 ? LIT.chainRevisions(data.revisions) : data.revisions;
+            lit.revisions = revisions.map(revision => deepFreeze(cloneContent(revision)));
+        }
+
+        return lit;
+    }
+
+    // Version 2 revisions hash their content alone. That hash becomes contentHash, so edited
+    // content is still reported, and the chain is built from there.
+    static chainRevisions(revisions) {
+        const chained = [];
+
+        revisions.forEach(({ hash, ...fields }) => {
+            const previous = chained[chained.length - 1];
+            const revision = { ...fields, parentHash: previous ? previous.hash : null, contentHash: hash };
+            revision.hash = LIT.revisionHash(revision);
+            chained.push(revision);
         });
+
+        return chained;
     }
 }
 
 // LIT Composer - High-level API for creating LITs
-class LITComposer {
-    constructor() {
+class LITComposer extends LITEventEmitter {
+    constructor(options = {}) {
+        super();
         this.registry = new Map();
+        this.capabilities = new CapabilityRegistry();
+
+        // Shared clock and RNG, handed to every LIT this composer creates
+        this.context = options.context || defaultContext;
+
+        // 'random' (default) or 'content' - see LIT.address
+        this.addressing = options.addressing || 'random';
+
+        // Optional storage adapter (see lit-storage.js); changes are written through to it
+        this.storage = options.storage || null;
+        this.onStorageError = options.onStorageError || (err => console.error('LIT storage write failed:', err));
+
+        // Listeners of events released by a committed transaction report here; see transaction()
+        this.onListenerError = options.onListenerError || (err => console.error('LIT listener failed:', err));
+        this.pendingWrites = Promise.resolve();
+        this.queuedWrites = new Set();
+
+        // Typed LIT definitions; compose() and transform() validate against them. The standard
+        // types require content and capabilities, so they are only registered on request.
+        this.types = new Map();
+        if (options.standardTypes === true) {
+            Object.entries(LITComposer.STANDARD_TYPES).forEach(([name, spec]) => this.defineType(name, spec));
+        }
+
+        // LITs dissolved by the decay scheduler under the 'archive' policy
+        this.archived = new Map();
+
+        this.subscriptions = new Map();
+        this.graph = new RelationGraph();
+        this.valuation = new NetworkValuation(this, options.networkValuation);
+        this.valuationMode = 'local';
+        this.decay = options.decay ? new DecayScheduler(this, options.decay) : null;
+
+        // Shared by every registered LIT's async capabilities
+        this.limiter = new ConcurrencyLimiter(options.concurrency ?? Infinity);
+
+        // Events and storage writes held back by an open transaction
+        this.held = null;
+    }
+
+    // Apply fn as one change. Composer events and storage writes are held until it returns.
+    // If it throws they are dropped, and the registry, the archive, the relation graph and
+    // the given LITs are put back as they were. A transaction opened inside another joins it.
+    // Once fn has returned the change is final: a listener that throws while the held
+    // events are released cannot undo it, so its error goes to onListenerError.
+    transaction(lits, fn) {
+        if (this.held) return fn();
+
+        const registry = new Map(this.registry);
+        const archived = new Map(this.archived);
+        const checkpoints = lits.map(lit => [lit, lit.checkpoint()]);
+        this.held = [];
+
+        let result;
+        try {
+            result = fn();
+        } catch (err) {
+            this.held = null;
+            this.rollback(registry, archived, checkpoints);
+            throw err;
+        }
+
+        const held = this.held;
+        this.held = null;
+        held.forEach(release => {
+            try {
+                release();
+            } catch (err) {
+                this.onListenerError(err);
+            }
+        });
+        return result;
+    }
+
+    rollback(registry, archived, checkpoints) {
+        // LITs registered during the transaction leave; LITs removed during it come back
+        this.getAllLITs().filter(lit => !registry.has(lit.id)).forEach(lit => this.unregister(lit));
+        registry.forEach(lit => {
+            if (!this.registry.has(lit.id)) this.register(lit);
+        });
+        this.archived = archived;
+
+        checkpoints.forEach(([lit, checkpoint]) => {
+            lit.restoreCheckpoint(checkpoint);
+            if (this.registry.get(lit.id) === lit) {
+                this.graph.removeOutgoing(lit.id);
+                lit.relations.forEach(relation => this.graph.addEdge(lit.id, relation));
+            }
+        });
+        this.valuation.invalidate();
+    }
+
+    emit(type, detail = {}) {
+        if (this.held) {
+            const event = { ...detail, type };
+            this.held.push(() => super.emit(type, detail));
+            return event;
+        }
+        return super.emit(type, detail);
+    }
+
+    defineType(name, spec = {}) {
+        const definition = new LITTypeDefinition(name, spec);
+        this.types.set(name, definition);
+        return definition;
     }
 
     compose(config) {
-        const lit = new LIT(config);
+        const definition = this.types.get(config.type);
+        const lit = new LIT({
+            context: this.context,
+            addressing: this.addressing,
+            ...(definition ? definition.prepare(config, this.capabilities) : config)
+        });
+
+        return this.adopt(lit);
+    }
+
+    // Take in a LIT built outside compose(), such as a staged fusion result
+    adopt(lit) {
+        // Identical content-addressed LITs share an ID; keep the one already registered
+        if (lit.addressing === 'content' && this.registry.has(lit.id)) {
+            throw new Error(`LIT "${lit.id}" already exists`);
+        }
+
+        lit.typeDefinition = this.types.get(lit.type) || null;
+        this.register(lit);
+        this.emit('created', { lit, timestamp: this.context.now() });
+        this.persist(lit);
+        return lit;
+    }
+
+    // Rebuild a LIT from a snapshot, reattaching handlers from this composer's capability registry
+    restore(data) {
+        const lit = LIT.fromJSON(data, { capabilities: this.capabilities, context: this.context });
+        lit.typeDefinition = this.types.get(lit.type) || null;
+        this.register(lit);
+        return lit;
+    }
+
+    register(lit) {
         this.registry.set(lit.id, lit);
+        lit.relations.forEach(relation => this.graph.addEdge(lit.id, relation));
+
+        if (this.valuationMode === 'network') {
+            lit.valuation = this.valuation;
+        }
+        this.valuation.invalidate();
+        lit.limiter = this.limiter;
+
+        // Re-emit every LIT event so listeners only need to subscribe to the composer.
+        // Ranks only go stale when the graph changes; value drift is left to refreshInterval.
+        this.subscriptions.set(lit.id, lit.on('*', event => {
+            if (event.type === 'related') {
+                this.graph.addEdge(lit.id, event.relation);
+                this.valuation.invalidate();
+            }
+            if (event.type === 'unrelated') {
+                this.graph.removeEdge(lit.id, event.relation.targetId, event.relation.type);
+                this.valuation.invalidate();
+            }
+            this.emit(event.type, event);
+            if (LITComposer.PERSISTED_EVENTS.includes(event.type)) {
+                this.persist(lit);
+            }
+        }));
+    }
+
+    unregister(lit) {
+        this.registry.delete(lit.id);
+        this.graph.removeOutgoing(lit.id);
+        this.valuation.invalidate();
+        lit.valuation = null;
+        lit.limiter = null;
+        const unsubscribe = this.subscriptions.get(lit.id);
+        if (unsubscribe) unsubscribe();
+        this.subscriptions.delete(lit.id);
+    }
+
+    remove(litOrId) {
+        const lit = this.resolve(litOrId);
+        this.unregister(lit);
+        this.write(storage => storage.delete('lits', lit.id));
+        this.emit('removed', { lit, timestamp: this.context.now() });
+        return lit;
+    }
+
+    archive(litOrId) {
+        const lit = this.resolve(litOrId);
+        this.unregister(lit);
+        this.archived.set(lit.id, lit);
+        this.write(storage => storage.save('archive', lit.id, lit.toJSON()).then(() => storage.delete('lits', lit.id)));
+        this.emit('archived', { lit, timestamp: this.context.now() });
+        return lit;
+    }
+
+    // Bring an archived LIT back into the registry
+    unarchive(id) {
+        const lit = this.archived.get(id);
+        if (!lit) {
+            throw new Error(`LIT "${id}" is not archived`);
+        }
+
+        this.archived.delete(id);
+        this.register(lit);
+        this.write(storage => storage.save('lits', lit.id, lit.toJSON()).then(() => storage.delete('archive', lit.id)));
+        this.emit('unarchived', { lit, timestamp: this.context.now() });
+        return lit;
+    }
+
+    // Re-evaluate every LIT against the clock; see DecayScheduler
+    tick(now = this.context.now()) {
+        if (!this.decay) {
+            this.decay = new DecayScheduler(this);
+        }
+        return this.decay.tick(now);
+    }
+
+    transform(litOrId, transformFn, options = {}) {
+        return this.resolve(litOrId).transform(transformFn, options);
+    }
+
+    fork(litOrId, revision, overrides = {}) {
+        return this.compose(this.resolve(litOrId).forkConfig(revision, overrides));
+    }
+
+    relate(sourceOrId, targetOrId, relationType) {
+        return this.resolve(sourceOrId).relate(this.resolve(targetOrId), relationType);
+    }
+
+    unrelate(sourceOrId, targetOrId, relationType = null) {
+        return this.resolve(sourceOrId).unrelate(targetOrId, relationType);
+    }
+
+    resolve(litOrId) {
+        const lit = typeof litOrId === 'string' ? this.find(litOrId) : litOrId;
+        if (!lit) {
+            throw new Error(`LIT "${litOrId}" not found`);
+        }
         return lit;
     }
 
@@ -325,28 +1455,613 @@ class LITComposer {
     // Create a LIT network
     network(lits, relationType = 'connected') {
         for (let i = 0; i < lits.length - 1; i++) {
-            lits[i].relate(lits[i + 1], relationType);
+            this.relate(lits[i], lits[i + 1], relationType);
         }
         return lits;
     }
 
+    // Content hash used for LIT revisions and fusion records
+    hashContent(value) {
+        return hashContent(value);
+    }
+
+    // Relation graph queries. Options accepted throughout:
+    //   direction - 'out' (default), 'in' or 'both'
+    //   types     - only follow relations of these types, e.g. ['supports', 'informs']
+    neighbors(litOrId, options = {}) {
+        const id = this.resolve(litOrId).id;
+        const seen = new Set();
+
+        return this.graph.adjacent(id, options)
+            .filter(entry => !seen.has(entry.id) && seen.add(entry.id))
+            .map(entry => this.find(entry.id))
+            .filter(lit => lit !== undefined);
+    }
+
+    // Breadth- or depth-first walk. Returns { lit, depth, parentId, relation } per reachable LIT.
+    traverse(litOrId, options = {}) {
+        const start = this.resolve(litOrId);
+        const maxDepth = options.maxDepth ?? Infinity;
+        const depthFirst = options.strategy === 'dfs';
+        const visited = new Set();
+        const frontier = [{ id: start.id, depth: 0, parentId: null, relation: null }];
+        const result = [];
+
+        while (frontier.length > 0) {
+            const node = depthFirst ? frontier.pop() : frontier.shift();
+            if (visited.has(node.id)) continue;
+
+            visited.add(node.id);
+            result.push({ lit: this.find(node.id), depth: node.depth, parentId: node.parentId, relation: node.relation });
+
+            if (node.depth >= maxDepth) continue;
+
+            const next = this.graph.adjacent(node.id, options)
+                .filter(entry => !visited.has(entry.id) && this.registry.has(entry.id));
+            // Push in reverse for DFS so neighbours are visited in relation order
+            (depthFirst ? next.reverse() : next).forEach(entry => {
+                frontier.push({ id: entry.id, depth: node.depth + 1, parentId: node.id, relation: entry.edge });
+            });
+        }
+
+        return result;
+    }
+
+    // Fewest-hops path as an array of LITs, or null when unreachable
+    shortestPath(fromOrId, toOrId, options = {}) {
+        const from = this.resolve(fromOrId).id;
+        const to = this.resolve(toOrId).id;
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (id === to) {
+                const path = [];
+                for (let step = to; step !== null; step = previous.get(step)) {
+                    path.unshift(this.find(step));
+                }
+                return path;
+            }
+
+            this.graph.adjacent(id, options).forEach(entry => {
+                if (!previous.has(entry.id) && this.registry.has(entry.id)) {
+                    previous.set(entry.id, id);
+                    queue.push(entry.id);
+                }
+            });
+        }
+
+        return null;
+    }
+
+    // Weakly connected components, largest first
+    connectedComponents(options = {}) {
+        const visited = new Set();
+        const components = [];
+
+        this.registry.forEach((lit, id) => {
+            if (visited.has(id)) return;
+
+            const component = this.traverse(id, { ...options, direction: 'both' }).map(node => node.lit);
+            component.forEach(member => visited.add(member.id));
+            components.push(component);
+        });
+
+        return components.sort((a, b) => b.length - a.length);
+    }
+
+    // Directed cycles, one per back edge found by depth-first search. The walk keeps its own
+    // stack so long relation chains cannot overflow the call stack.
+    findCycles(options = {}) {
+        const state = new Map(); // id -> 'active' while on the DFS path, 'done' afterwards
+        const path = [];
+        const cycles = [];
+
+        // Each frame holds a LIT's edges and how many of them have been followed
+        const frames = [];
+        const enter = id => {
+            state.set(id, 'active');
+            path.push(id);
+            frames.push({ id, edges: this.graph.adjacent(id, { types: options.types }), next: 0 });
+        };
+
+        this.registry.forEach((lit, id) => {
+            if (state.has(id)) return;
+            enter(id);
+
+            while (frames.length > 0) {
+                const frame = frames[frames.length - 1];
+                if (frame.next === frame.edges.length) {
+                    frames.pop();
+                    path.pop();
+                    state.set(frame.id, 'done');
+                    continue;
+                }
+
+                const entry = frame.edges[frame.next++];
+                if (!this.registry.has(entry.id)) continue;
+
+                if (state.get(entry.id) === 'active') {
+                    cycles.push(path.slice(path.indexOf(entry.id)).map(member => this.find(member)));
+                } else if (!state.has(entry.id)) {
+                    enter(entry.id);
+                }
+            }
+        });
+
+        return cycles;
+    }
+
+    hasCycle(options = {}) {
+        return this.findCycles(options).length > 0;
+    }
+
+    // Persistence
+    persist(lit) {
+        if (this.held) {
+            this.held.push(() => this.persist(lit));
+            return this.pendingWrites;
+        }
+
+        // Several events usually fire for one change; queue a single snapshot per LIT
+        if (!this.storage || this.queuedWrites.has(lit.id)) return this.pendingWrites;
+
+        this.queuedWrites.add(lit.id);
+        return this.write(storage => {
+            this.queuedWrites.delete(lit.id);
+            return storage.save('lits', lit.id, lit.toJSON());
+        });
+    }
+
+    write(operation) {
+        if (!this.storage) return this.pendingWrites;
+        if (this.held) {
+            this.held.push(() => this.write(operation));
+            return this.pendingWrites;
+        }
+
+        // Writes are chained so the store sees changes in the order they happened
+        this.pendingWrites = this.pendingWrites
+            .then(() => operation(this.storage))
+            .catch(err => this.onStorageError(err));
+
+        return this.pendingWrites;
+    }
+
+    flush() {
+        return this.pendingWrites;
+    }
+
+    async hydrate() {
+        if (!this.storage) return [];
+
+        const [records, archived] = await Promise.all([this.storage.list('lits'), this.storage.list('archive')]);
+        archived.forEach(record => {
+            const lit = LIT.fromJSON(record, { capabilities: this.capabilities, context: this.context });
+            lit.typeDefinition = this.types.get(lit.type) || null;
+            this.archived.set(lit.id, lit);
+        });
+        return records.map(record => this.restore(record));
+    }
+
+    // 'local' values LITs by their own relation count; 'network' by graph influence
+    setValuationMode(mode) {
+        if (mode !== 'local' && mode !== 'network') {
+            throw new Error(`Unknown valuation mode "${mode}"`);
+        }
+
+        this.valuationMode = mode;
+        this.registry.forEach(lit => {
+            lit.valuation = mode === 'network' ? this.valuation : null;
+        });
+        return this;
+    }
+
+    influence(litOrId) {
+        return this.valuation.influence(this.resolve(litOrId).id);
+    }
+
+    centrality(litOrId) {
+        return this.valuation.centrality(this.resolve(litOrId).id);
+    }
+
     // Measure network coherence
     measureNetworkCoherence() {
         const lits = this.getAllLITs();
         if (lits.length === 0) return 0;
 
+        if (this.valuationMode === 'network') {
+            return this.valuation.coherence();
+        }
+
         const totalValue = lits.reduce((sum, lit) => sum + lit.calculateValue(), 0);
         return totalValue / lits.length;
     }
 }
 
+// Ages LITs over time. State otherwise only changes when a LIT is touched, so an
+// idle LIT would keep its last state forever.
+class DecayScheduler {
+    constructor(composer, options = {}) {
+        this.composer = composer;
+        this.interval = options.interval || 60000;
+        this.floor = options.floor ?? 0.2;                     // Value below which a LIT starts to dissolve
+        this.dissolveAfter = options.dissolveAfter ?? 86400000; // How long it may stay below the floor
+        this.policy = options.policy || 'emit';                // archive, delete or emit
+        this.belowFloorSince = new Map();
+        this.reported = new Set();                             // Dissolved under 'emit' while still below the floor
+        this.timer = null;
+
+        if (!DecayScheduler.POLICIES.includes(this.policy)) {
+            throw new Error(`Unknown dissolution policy "${this.policy}"`);
+        }
+    }
+
+    start() {
+        if (this.timer) return this;
+
+        this.timer = setInterval(() => this.tick(), this.interval);
+        // Never keep a Node.js process alive just to age LITs
+        if (this.timer.unref) this.timer.unref();
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        return this;
+    }
+
+    tick(now = this.composer.context.now()) {
+        const lits = this.composer.getAllLITs();
+        const dissolved = [];
+
+        // Forget LITs that left the registry some other way
+        this.belowFloorSince.forEach((since, id) => {
+            if (!this.composer.registry.has(id)) this.forget(id);
+        });
+
+        lits.forEach(lit => {
+            lit.updateState(now);
+
+            if (lit.calculateValue(now) >= this.floor) {
+                this.forget(lit.id);
+                return;
+            }
+
+            if (!this.belowFloorSince.has(lit.id)) {
+                this.belowFloorSince.set(lit.id, now);
+            }
+
+            if (!this.reported.has(lit.id) && now - this.belowFloorSince.get(lit.id) >= this.dissolveAfter) {
+                this.dissolve(lit, now);
+                dissolved.push(lit);
+            }
+        });
+
+        return { evaluated: lits.length, dissolved };
+    }
+
+    // 'emit' leaves the LIT in place, so it is reported once until it climbs back above the floor
+    dissolve(lit, now) {
+        const belowFloorSince = this.belowFloorSince.get(lit.id);
+
+        if (this.policy === 'archive') {
+            this.forget(lit.id);
+            this.composer.archive(lit);
+        } else if (this.policy === 'delete') {
+            this.forget(lit.id);
+            this.composer.remove(lit);
+        } else {
+            this.reported.add(lit.id);
+        }
+
+        this.composer.emit('dissolved', { lit, timestamp: now, policy: this.policy, belowFloorSince });
+    }
+
+    forget(id) {
+        this.belowFloorSince.delete(id);
+        this.reported.delete(id);
+    }
+}
+
+DecayScheduler.POLICIES = ['archive', 'delete', 'emit'];
+
+// Adjacency index over LIT relations, kept up to date by the composer.
+// Stores IDs only; edges may point at LITs that are no longer registered.
+class RelationGraph {
+    constructor() {
+        this.outgoing = new Map();
+        this.incoming = new Map();
+    }
+
+    addEdge(sourceId, relation) {
+        const edge = {
+            sourceId,
+            targetId: relation.targetId,
+            type: relation.type,
+            establishedAt: relation.establishedAt
+        };
+
+        this.list(this.outgoing, edge.sourceId).push(edge);
+        this.list(this.incoming, edge.targetId).push(edge);
+        return edge;
+    }
+
+    removeEdge(sourceId, targetId, type) {
+        const matches = edge => edge.sourceId === sourceId && edge.targetId === targetId && edge.type === type;
+        this.outgoing.set(sourceId, this.list(this.outgoing, sourceId).filter(edge => !matches(edge)));
+        this.incoming.set(targetId, this.list(this.incoming, targetId).filter(edge => !matches(edge)));
+    }
+
+    // Drop the edges a LIT owns; edges other LITs hold towards it stay with them
+    removeOutgoing(sourceId) {
+        this.list(this.outgoing, sourceId).forEach(edge => {
+            this.incoming.set(edge.targetId, this.list(this.incoming, edge.targetId).filter(e => e !== edge));
+        });
+        this.outgoing.delete(sourceId);
+    }
+
+    list(index, id) {
+        if (!index.has(id)) {
+            index.set(id, []);
+        }
+        return index.get(id);
+    }
+
+    // Adjacent edges as { id, edge, direction }, where id is the LIT on the other end
+    adjacent(id, options = {}) {
+        const direction = options.direction || 'out';
+        const types = options.types || null;
+        const result = [];
+
+        if (direction === 'out' || direction === 'both') {
+            (this.outgoing.get(id) || []).forEach(edge => result.push({ id: edge.targetId, edge, direction: 'out' }));
+        }
+        if (direction === 'in' || direction === 'both') {
+            (this.incoming.get(id) || []).forEach(edge => result.push({ id: edge.sourceId, edge, direction: 'in' }));
+        }
+
+        return types ? result.filter(entry => types.includes(entry.edge.type)) : result;
+    }
+}
+
+// Weighted PageRank over the relation graph. Influence flows from a LIT to the LITs it
+// relates to, so being cited by valuable LITs counts for more than citing many.
+class NetworkValuation {
+    constructor(composer, options = {}) {
+        this.composer = composer;
+        this.damping = options.damping ?? 0.85;
+        this.iterations = options.iterations || 50;
+        this.tolerance = options.tolerance || 1e-6;
+        this.refreshInterval = options.refreshInterval ?? 60000; // Recompute at least this often as values decay
+        this.weights = { ...NetworkValuation.RELATION_WEIGHTS, ...(options.weights || {}) };
+        this.ranks = new Map();
+        this.dirty = true;
+        this.computedAt = null;
+    }
+
+    invalidate() {
+        this.dirty = true;
+    }
+
+    weight(type) {
+        return this.weights[type] ?? this.weights.default;
+    }
+
+    compute(now = this.composer.context.now()) {
+        const stale = this.computedAt === null || Math.abs(now - this.computedAt) >= this.refreshInterval;
+        if (!this.dirty && !stale) return this.ranks;
+
+        const ids = Array.from(this.composer.registry.keys());
+        const count = ids.length;
+        this.ranks = new Map();
+        this.dirty = false;
+        this.computedAt = now;
+        if (count === 0) return this.ranks;
+
+        // Teleport in proportion to each LIT's own value, so valuable sources carry more weight
+        const baseValues = ids.map(id => this.composer.find(id).calculateBaseValue(now));
+        const totalBase = baseValues.reduce((sum, value) => sum + value, 0);
+        const teleport = new Map(ids.map((id, i) => [id, totalBase > 0 ? baseValues[i] / totalBase : 1 / count]));
+
+        const outgoing = new Map(ids.map(id => {
+            const edges = this.composer.graph.adjacent(id)
+                .filter(entry => this.composer.registry.has(entry.id) && this.weight(entry.edge.type) > 0);
+            const total = edges.reduce((sum, entry) => sum + this.weight(entry.edge.type), 0);
+            return [id, { edges, total }];
+        }));
+
+        let ranks = new Map(teleport);
+
+        for (let i = 0; i < this.iterations; i++) {
+            const next = new Map(ids.map(id => [id, (1 - this.damping) * teleport.get(id)]));
+            let dangling = 0;
+
+            ids.forEach(id => {
+                const { edges, total } = outgoing.get(id);
+                if (edges.length === 0) {
+                    dangling += ranks.get(id);
+                    return;
+                }
+                edges.forEach(entry => {
+                    const share = this.damping * ranks.get(id) * this.weight(entry.edge.type) / total;
+                    next.set(entry.id, next.get(entry.id) + share);
+                });
+            });
+
+            // Rank held by LITs with no outgoing relations is spread like a teleport
+            ids.forEach(id => next.set(id, next.get(id) + this.damping * dangling * teleport.get(id)));
+
+            const delta = ids.reduce((sum, id) => sum + Math.abs(next.get(id) - ranks.get(id)), 0);
+            ranks = next;
+            if (delta < this.tolerance) break;
+        }
+
+        this.ranks = ranks;
+        return this.ranks;
+    }
+
+    // Rank scaled so the average LIT has influence 1
+    influence(id, now) {
+        const ranks = this.compute(now);
+        return (ranks.get(id) || 0) * ranks.size;
+    }
+
+    bonus(lit, now) {
+        return Math.log(1 + this.influence(lit.id, now)) / 5;
+    }
+
+    centrality(id) {
+        const count = this.composer.registry.size;
+        const inDegree = this.composer.graph.adjacent(id, { direction: 'in' }).length;
+        const outDegree = this.composer.graph.adjacent(id, { direction: 'out' }).length;
+
+        // Closeness over the undirected graph, scaled by the share of the network reached
+        const reached = this.composer.traverse(id, { direction: 'both' });
+        const totalDistance = reached.reduce((sum, node) => sum + node.depth, 0);
+        const closeness = totalDistance > 0 && count > 1
+            ? ((reached.length - 1) / totalDistance) * ((reached.length - 1) / (count - 1))
+            : 0;
+
+        return {
+            inDegree,
+            outDegree,
+            degree: count > 1 ? (inDegree + outDegree) / (2 * (count - 1)) : 0,
+            closeness,
+            influence: this.influence(id)
+        };
+    }
+
+    // Influence-weighted value, discounted when the network is fragmented
+    coherence(now = this.composer.context.now()) {
+        const ranks = this.compute(now);
+        if (ranks.size === 0) return 0;
+
+        let weightedValue = 0;
+        ranks.forEach((rank, id) => {
+            weightedValue += rank * this.composer.find(id).calculateValue(now);
+        });
+
+        const components = this.composer.connectedComponents();
+        const connectivity = components[0].length / ranks.size;
+
+        return weightedValue * (0.5 + 0.5 * connectivity);
+    }
+}
+
+NetworkValuation.RELATION_WEIGHTS = {
+    supports: 1.0,
+    'fused-into': 1.0,
+    informs: 0.8,
+    enables: 0.7,
+    inspires: 0.6,
+    analyzes: 0.5,
+    'fused-from': 0.5,
+    default: 0.5
+};
+
+// Types registered on composers created with { standardTypes: true }
+LITComposer.STANDARD_TYPES = {
+    knowledge: {
+        schema: {
+            topic: { type: 'string', required: true, min: 1 },
+            knowledge: { type: 'string', required: true },
+            citations: { type: 'array' },
+            confidence: { type: 'number', min: 0, max: 1 }
+        },
+        defaults: { citations: [], confidence: 0.8 }
+    },
+    process: {
+        schema: {
+            name: { type: 'string', required: true, min: 1 },
+            steps: { type: 'array', required: true, min: 1, items: { type: 'string' } },
+            currentStep: { type: 'number', min: 0 },
+            status: { type: 'string' }
+        },
+        capabilities: ['execute'],
+        defaults: content => ({
+            currentStep: 0,
+            status: 'ready',
+            metadata: { totalSteps: Array.isArray(content.steps) ? content.steps.length : 0, completedSteps: 0 }
+        })
+    },
+    creative: {
+        schema: {
+            medium: { type: 'string', required: true, min: 1 },
+            style: { type: 'string' },
+            parameters: { type: 'object' },
+            outputs: { type: 'array' },
+            value: { type: 'number' }
+        },
+        capabilities: ['generate'],
+        defaults: { parameters: {}, outputs: [], value: 0 }
+    },
+    prediction: {
+        schema: {
+            domain: { type: 'string', required: true, min: 1 },
+            model: { type: 'string', required: true },
+            predictions: { type: 'array' },
+            accuracy: { type: 'number', min: 0, max: 1 }
+        },
+        capabilities: ['predict', 'verify'],
+        defaults: { predictions: [], accuracy: 0, metadata: { totalPredictions: 0, correctPredictions: 0 } }
+    }
+};
+
+// LIT events that change what a snapshot contains
+LITComposer.PERSISTED_EVENTS = ['interacted', 'transformed', 'related', 'unrelated', 'stateChanged'];
+
 // Export for use in browser or Node.js
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { LIT, LITComposer, TemporalSignature, AgentSystem, CoherenceField };
+    module.exports = {
+        LIT,
+        LITComposer,
+        TemporalSignature,
+        AgentSystem,
+        CoherenceField,
+        CapabilityRegistry,
+        LITEventEmitter,
+        LITTypeDefinition,
+        LITValidationError,
+        DecayScheduler,
+        RelationGraph,
+        NetworkValuation,
+        LITContext,
+        canonicalJSON,
+        sha256,
+        hashContent,
+        diffContent,
+        SystemClock,
+        ManualClock,
+        SeededRandom,
+        ConcurrencyLimiter,
+        LITTimeoutError,
+        runCancellable
+    };
 } else {
     window.LIT = LIT;
     window.LITComposer = LITComposer;
     window.TemporalSignature = TemporalSignature;
     window.AgentSystem = AgentSystem;
     window.CoherenceField = CoherenceField;
+    window.CapabilityRegistry = CapabilityRegistry;
+    window.LITEventEmitter = LITEventEmitter;
+    window.LITTypeDefinition = LITTypeDefinition;
+    window.LITValidationError = LITValidationError;
+    window.DecayScheduler = DecayScheduler;
+    window.RelationGraph = RelationGraph;
+    window.NetworkValuation = NetworkValuation;
+    window.canonicalJSON = canonicalJSON;
+    window.sha256 = sha256;
+    window.hashContent = hashContent;
+    window.diffContent = diffContent;
+    window.LITContext = LITContext;
+    window.SystemClock = SystemClock;
+    window.ManualClock = ManualClock;
+    window.SeededRandom = SeededRandom;
+    window.ConcurrencyLimiter = ConcurrencyLimiter;
+    window.LITTimeoutError = LITTimeoutError;
+    window.runCancellable = runCancellable;
 }
@@ -0,0 +1,226 @@
+/**
+ * LIT Storage - Persistence adapters for the LIT Composer
+ *
+ * A storage adapter keeps JSON records in named collections ('lits', 'archive', 'fusions').
+ * Every adapter exposes the same asynchronous interface:
+ *
+ *   save(collection, id, record)  -> Promise<void>
+ *   load(collection, id)          -> Promise<record | null>
+ *   delete(collection, id)        -> Promise<void>
+ *   list(collection)              -> Promise<record[]>
+ */
+
+function cloneRecord(record) {
+    return JSON.parse(JSON.stringify(record));
+}
+
+// In-memory adapter - for tests and short-lived sessions
+class MemoryStorageAdapter {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+        }
+        return this.collections.get(name);
+    }
+
+    async save(collection, id, record) {
+        this.collection(collection).set(id, cloneRecord(record));
+    }
+
+    async load(collection, id) {
+        const record = this.collection(collection).get(id);
+        return record ? cloneRecord(record) : null;
+    }
+
+    async delete(collection, id) {
+        this.collection(collection).delete(id);
+    }
+
+    async list(collection) {
+        return Array.from(this.collection(collection).values()).map(cloneRecord);
+    }
+}
+
+// JSON file adapter - Node.js only, keeps every collection in one file
+class JSONFileStorageAdapter {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.fs = require('fs').promises;
+        this.path = require('path');
+        this.loaded = null;     // Promise of the parsed file
+        this.writes = Promise.resolve();
+    }
+
+    // Concurrent callers share one read, so every change lands in the same object
+    read() {
+        if (!this.loaded) {
+            this.loaded = this.fs.readFile(this.filePath, 'utf8')
+                .then(raw => JSON.parse(raw), err => {
+                    if (err.code !== 'ENOENT') throw err;
+                    return {};
+                });
+            // A failed read is retried by the next caller
+            this.loaded.catch(() => {
+                this.loaded = null;
+            });
+        }
+
+        return this.loaded;
+    }
+
+    // Writes run one at a time; each one stores everything changed up to when it starts
+    write() {
+        const write = this.writes.then(() => this.writeFile());
+        this.writes = write.catch(() => {});
+        return write;
+    }
+
+    async writeFile() {
+        // Write to a temporary file first so a crash never leaves a truncated store
+        const tempPath = `${this.filePath}.tmp`;
+        const data = await this.read();
+        await this.fs.mkdir(this.path.dirname(this.filePath), { recursive: true });
+        await this.fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await this.fs.rename(tempPath, this.filePath);
+    }
+
+    async save(collection, id, record) {
+        const data = await this.read();
+        data[collection] = data[collection] || {};
+        data[collection][id] = cloneRecord(record);
+        await this.write();
+    }
+
+    async load(collection, id) {
+        const data = await this.read();
+        const record = data[collection] && data[collection][id];
+        return record ? cloneRecord(record) : null;
+    }
+
+    async delete(collection, id) {
+        const data = await this.read();
+        if (data[collection] && data[collection][id]) {
+            delete data[collection][id];
+            await this.write();
+        }
+    }
+
+    async list(collection) {
+        const data = await this.read();
+        return Object.values(data[collection] || {}).map(cloneRecord);
+    }
+}
+
+// localStorage adapter - browser, one key per record
+class LocalStorageAdapter {
+    constructor(prefix = 'lit', storage = null) {
+        this.prefix = prefix;
+        this.storage = storage || window.localStorage;
+    }
+
+    key(collection, id) {
+        return `${this.prefix}:${collection}:${id}`;
+    }
+
+    async save(collection, id, record) {
+        this.storage.setItem(this.key(collection, id), JSON.stringify(record));
+    }
+
+    async load(collection, id) {
+        const raw = this.storage.getItem(this.key(collection, id));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async delete(collection, id) {
+        this.storage.removeItem(this.key(collection, id));
+    }
+
+    async list(collection) {
+        const prefix = `${this.prefix}:${collection}:`;
+        const records = [];
+
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(prefix)) {
+                records.push(JSON.parse(this.storage.getItem(key)));
+            }
+        }
+
+        return records;
+    }
+}
+
+// IndexedDB adapter - browser, suited to large registries
+class IndexedDBStorageAdapter {
+    constructor(databaseName = 'lit-store', indexedDB = null) {
+        this.databaseName = databaseName;
+        this.indexedDB = indexedDB || window.indexedDB;
+        this.database = null;
+    }
+
+    open() {
+        if (this.database) return this.database;
+
+        this.database = new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.databaseName, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore('records', { keyPath: 'key' });
+                store.createIndex('collection', 'collection');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.database;
+    }
+
+    async request(mode, operation) {
+        const database = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction('records', mode);
+            const request = operation(transaction.objectStore('records'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // A transaction can abort without an error event, e.g. when the quota is exceeded
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async save(collection, id, record) {
+        await this.request('readwrite', store => store.put({
+            key: `${collection}:${id}`,
+            collection,
+            record: cloneRecord(record)
+        }));
+    }
+
+    async load(collection, id) {
+        const entry = await this.request('readonly', store => store.get(`${collection}:${id}`));
+        return entry ? entry.record : null;
+    }
+
+    async delete(collection, id) {
+        await this.request('readwrite', store => store.delete(`${collection}:${id}`));
+    }
+
+    async list(collection) {
+        const entries = await this.request('readonly', store => store.index('collection').getAll(collection));
+        return entries.map(entry => entry.record);
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MemoryStorageAdapter, JSONFileStorageAdapter, LocalStorageAdapter, IndexedDBStorageAdapter };
+} else {
+    window.MemoryStorageAdapter = MemoryStorageAdapter;
+    window.JSONFileStorageAdapter = JSONFileStorageAdapter;
+    window.LocalStorageAdapter = LocalStorageAdapter;
+    window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+}
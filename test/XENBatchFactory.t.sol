@@ -0,0 +1,135 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../contracts/XENBatchFactory.sol";
+
+// The Foundry cheatcodes these tests use
+interface Vm {
+    function warp(uint256 timestamp) external;
+    function expectRevert(bytes calldata revertData) external;
+}
+
+// claimRank and claimMintReward with the checks of XENCrypto; every mint pays 1000 XEN
+contract MockXEN {
+    struct MintInfo {
+        address user;
+        uint256 term;
+        uint256 maturityTs;
+        uint256 rank;
+        uint256 amplifier;
+        uint256 eaaRate;
+    }
+
+    uint256 public constant REWARD = 1000 ether;
+
+    uint256 public globalRank = 1;
+    mapping(address => MintInfo) public userMints;
+    mapping(address => uint256) public balanceOf;
+
+    function claimRank(uint256 term) external {
+        require(term > 0, "CRank: Term less than min");
+        require(userMints[msg.sender].rank == 0, "CRank: Mint already in progress");
+        userMints[msg.sender] = MintInfo(msg.sender, term, block.timestamp + term * 1 days, globalRank++, 3000, 100);
+    }
+
+    function claimMintReward() external {
+        MintInfo memory mint = userMints[msg.sender];
+        require(mint.rank > 0, "CRank: No mint exists");
+        require(block.timestamp > mint.maturityTs, "CRank: Mint maturity not reached");
+        delete userMints[msg.sender];
+        balanceOf[msg.sender] += REWARD;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        balanceOf[msg.sender] -= amount;
+        balanceOf[to] += amount;
+        return true;
+    }
+}
+
+contract XENBatchFactoryTest {
+    Vm private constant vm = Vm(address(uint160(uint256(keccak256("hevm cheat code")))));
+
+    MockXEN private xen;
+    XENBatchFactory private factory;
+
+    function setUp() public {
+        xen = new MockXEN();
+        factory = new XENBatchFactory(IXENCrypto(address(xen)));
+    }
+
+    function term(uint256 index) private view returns (uint256 mintTerm) {
+        (, mintTerm, , , , ) = xen.userMints(factory.proxyAddress(address(this), index));
+    }
+
+    function indices(uint256 a, uint256 b) private pure returns (uint256[] memory list) {
+        list = new uint256[](2);
+        list[0] = a;
+        list[1] = b;
+    }
+
+    function testClaimsRanksThroughPredictedProxies() public {
+        address predicted = factory.proxyAddress(address(this), 0);
+        uint256[] memory used = factory.bulkClaimRank(3, 1);
+
+        require(used.length == 3 && used[0] == 0 && used[2] == 2, "indices");
+        require(factory.proxyCount(address(this)) == 3, "proxy count");
+        require(predicted.code.length > 0, "proxy not at its predicted address");
+
+        (address user, uint256 mintTerm, , uint256 rank, , ) = xen.userMints(predicted);
+        require(user == predicted && mintTerm == 1 && rank == 1, "mint");
+    }
+
+    function testHarvestsMaturedMintsInOneCall() public {
+        factory.bulkClaimRank(2, 1);
+        vm.warp(block.timestamp + 1 days + 1);
+
+        factory.bulkClaimMintReward(indices(0, 1));
+
+        require(xen.balanceOf(address(this)) == 2 * xen.REWARD(), "reward not sent to the owner");
+        require(term(0) == 0 && term(1) == 0, "mints not cleared");
+    }
+
+    function testHarvestRevertsBeforeMaturity() public {
+        factory.bulkClaimRank(2, 1);
+        vm.warp(block.timestamp + 1 days);
+
+        vm.expectRevert(bytes("CRank: Mint maturity not reached"));
+        factory.bulkClaimMintReward(indices(0, 1));
+    }
+
+    function testReusesHarvestedProxiesBeforeDeploying() public {
+        factory.bulkClaimRank(3, 1);
+        vm.warp(block.timestamp + 1 days + 1);
+        factory.bulkClaimMintReward(indices(0, 2));
+
+        uint256[] memory idle = factory.idleProxies(address(this));
+        require(idle.length == 2 && idle[0] == 0 && idle[1] == 2, "idle proxies");
+
+        uint256[] memory used = factory.bulkClaimRank(3, 5);
+        require(used[0] == 2 && used[1] == 0 && used[2] == 3, "reuse order");
+        require(factory.proxyCount(address(this)) == 4, "proxy count");
+        require(factory.idleProxies(address(this)).length == 0, "idle proxies left");
+        require(term(0) == 5 && term(1) == 1 && term(2) == 5 && term(3) == 5, "terms");
+    }
+
+    function testHarvestRejectsUnknownProxy() public {
+        factory.bulkClaimRank(1, 1);
+        vm.warp(block.timestamp + 1 days + 1);
+
+        vm.expectRevert(bytes("XENBatchFactory: unknown proxy"));
+        factory.bulkClaimMintReward(indices(0, 1));
+    }
+
+    function testProxiesOnlyAnswerTheFactory() public {
+        factory.bulkClaimRank(1, 1);
+        XENProxy proxy = XENProxy(factory.proxyAddress(address(this), 0));
+
+        vm.expectRevert(bytes("XENProxy: caller is not the factory"));
+        proxy.claimRank(1);
+    }
+
+    function testOwnersHaveSeparateProxies() public view {
+        require(factory.proxyAddress(address(this), 0) != factory.proxyAddress(address(xen), 0), "shared proxy");
+    }
+}
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, ConcurrencyLimiter, LITTimeoutError, runCancellable } = require('../lit-framework.js');
+
+const never = () => new Promise(() => {});
+
+// A promise with its resolve function, for handlers the test settles itself
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => {
+        resolve = r;
+    });
+    return { promise, resolve };
+}
+
+test('runCancellable rejects on timeout or abort and aborts the task signal', async () => {
+    assert.equal(await runCancellable(async () => 'done'), 'done');
+
+    let taskSignal;
+    await assert.rejects(runCancellable(signal => {
+        taskSignal = signal;
+        return never();
+    }, { timeout: 10, label: 'Lookup' }), err => {
+        assert.ok(err instanceof LITTimeoutError);
+        assert.equal(err.message, 'Lookup timed out after 10ms');
+        assert.equal(err.timeout, 10);
+        return true;
+    });
+    assert.ok(taskSignal.aborted);
+
+    const controller = new AbortController();
+    const pending = runCancellable(never, { signal: controller.signal });
+    controller.abort(new Error('stopped'));
+    await assert.rejects(pending, /stopped/);
+    await assert.rejects(runCancellable(never, { signal: controller.signal }), /stopped/);
+});
+
+test('a task that never settles gives up its slot when it times out', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const started = [];
+
+    const stuck = limiter.runCancellable(never, { timeout: 20 });
+    const next = limiter.runCancellable(async () => started.push('next'), { timeout: 1000 });
+
+    await assert.rejects(stuck, LITTimeoutError);
+    await next;
+    await new Promise(setImmediate);
+    assert.deepEqual(started, ['next']);
+    assert.equal(limiter.active, 0);
+    assert.equal(limiter.orphaned, 1);
+});
+
+test('orphaned tasks are counted until they settle', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const late = deferred();
+    const controller = new AbortController();
+
+    const pending = limiter.runCancellable(() => late.promise, { signal: controller.signal });
+    await Promise.resolve();
+    controller.abort(new Error('cancelled'));
+    await assert.rejects(pending, /cancelled/);
+    assert.equal(limiter.orphaned, 1);
+
+    late.resolve('ignored');
+    await late.promise;
+    await new Promise(setImmediate);
+    assert.equal(limiter.orphaned, 0);
+
+    // A task that stops on its signal is not left behind
+    await assert.rejects(limiter.runCancellable(signal => new Promise((_, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+    }), { timeout: 10 }), LITTimeoutError);
+    await new Promise(setImmediate);
+    assert.equal(limiter.orphaned, 0);
+});
+
+test('queued tasks run in order and leave the queue when aborted', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const order = [];
+    const first = deferred();
+    const controller = new AbortController();
+
+    const running = limiter.run(() => first.promise.then(() => order.push('first')));
+    const aborted = limiter.run(() => order.push('aborted'), controller.signal);
+    const last = limiter.run(() => order.push('last'));
+
+    controller.abort(new Error('dequeued'));
+    await assert.rejects(aborted, /dequeued/);
+    assert.equal(limiter.queue.length, 1);
+
+    first.resolve();
+    await Promise.all([running, last]);
+    assert.deepEqual(order, ['first', 'last']);
+});
+
+test('async capabilities only record uses, interactions and content once they succeed', async () => {
+    const composer = new LITComposer({ concurrency: 1 });
+    const outcome = { fail: false };
+    const lit = composer.compose({
+        type: 'note',
+        content: { lines: [] },
+        capabilities: [{
+            name: 'append',
+            handler: async ({ lit, line }) => {
+                lit.content.lines.push(line);
+                await Promise.resolve();
+                if (outcome.fail) throw new Error('append failed');
+                return lit.content.lines.length;
+            }
+        }, {
+            name: 'hang',
+            handler: never
+        }]
+    });
+    const capability = name => lit.agentSystem.capabilities.find(c => c.name === name);
+    const interactions = () => lit.temporalSignature.interactions.map(i => i.type);
+
+    assert.equal(await lit.executeCapabilityAsync('append', { line: 'one' }), 1);
+    assert.equal(capability('append').uses, 1);
+    assert.deepEqual(interactions(), ['capability:append']);
+    assert.equal(lit.revisions.length, 2);
+
+    outcome.fail = true;
+    await assert.rejects(lit.executeCapabilityAsync('append', { line: 'two' }), /append failed/);
+    assert.deepEqual(lit.content.lines, ['one']);
+    assert.equal(capability('append').uses, 1);
+    assert.deepEqual(interactions(), ['capability:append']);
+
+    // With a concurrency of 1, a hung handler that times out does not block the next call
+    await assert.rejects(lit.executeCapabilityAsync('hang', {}, { timeout: 10 }), LITTimeoutError);
+    assert.equal(capability('hang').uses, 0);
+    assert.equal(composer.limiter.orphaned, 1);
+
+    outcome.fail = false;
+    assert.equal(await lit.executeCapabilityAsync('append', { line: 'three' }, { timeout: 1000 }), 2);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LIT, LITComposer, LITContext, ManualClock, SeededRandom } = require('../lit-framework.js');
+const { XenialFusionEngine } = require('../xenial-fusion.js');
+
+test('a seeded random source repeats its sequence and stays in [0, 1)', () => {
+    const draw = seed => {
+        const rng = new SeededRandom(seed);
+        return Array.from({ length: 100 }, () => rng.next());
+    };
+
+    assert.deepEqual(draw(42), draw(42));
+    assert.notDeepEqual(draw(42), draw(43));
+    draw(42).forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('LIT timestamps, IDs and temporal value follow the injected clock', () => {
+    const clock = new ManualClock(1000);
+    const context = new LITContext({ clock, seed: 1 });
+    const lit = new LIT({ content: { topic: 'time' }, context });
+
+    assert.equal(lit.temporalSignature.createdAt, 1000);
+    assert.match(lit.id, new RegExp(`^LIT-${(1000).toString(36)}-`));
+
+    clock.advance(5000);
+    lit.interact('read', { impact: 0.2 });
+    assert.equal(lit.temporalSignature.lastModified, 6000);
+
+    const value = lit.temporalSignature.temporalValue;
+    clock.advance(86400000);
+    assert.ok(lit.temporalSignature.temporalValue < value);
+    assert.equal(lit.temporalSignature.valueAt(6000), value);
+});
+
+test('two runs from the same seed produce the same fusion', () => {
+    const run = () => {
+        const composer = new LITComposer({ context: LITContext.seeded(9, 1700000000000) });
+        const engine = new XenialFusionEngine(composer);
+        const a = composer.compose({ type: 'creative', content: { medium: 'ink', outputs: [], persistent: true } });
+        const b = composer.compose({ type: 'creative', content: { medium: 'clay', outputs: [], persistent: true } });
+        composer.context.clock.advance(1000);
+
+        const { fusedLIT } = engine.fuse([a.id, b.id], 'Creative Amplification');
+        fusedLIT.executeCapability('generate_emergent');
+        return { ids: [a.id, b.id, fusedLIT.id], content: fusedLIT.content, history: engine.fusionHistory };
+    };
+
+    assert.deepEqual(run(), run());
+});
+
+test('the system context keeps working when none is injected', () => {
+    const before = Date.now();
+    const lit = new LIT({ content: { topic: 'now' } });
+
+    assert.ok(lit.temporalSignature.createdAt >= before);
+    assert.ok(new LITContext().random() < 1);
+});
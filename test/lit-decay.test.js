@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, LITContext, DecayScheduler } = require('../lit-framework.js');
+
+const HOUR = 3600000;
+
+// A floor of 1 puts every LIT below it; a floor of 0 lifts every LIT above it
+function decayingComposer(policy) {
+    const composer = new LITComposer({
+        context: LITContext.seeded(3, 0),
+        decay: { floor: 1, dissolveAfter: HOUR, policy }
+    });
+    const lit = composer.compose({ type: 'knowledge', content: { topic: 'idle', knowledge: 'fading' } });
+    const dissolved = [];
+    composer.on('dissolved', event => dissolved.push(event));
+    return { composer, lit, dissolved };
+}
+
+test('idle LITs lose value and state as the clock moves', () => {
+    const composer = new LITComposer({ context: LITContext.seeded(3, 0) });
+    const lit = composer.compose({ type: 'knowledge', content: { topic: 'idle', knowledge: 'fading' } });
+    composer.context.clock.advance(HOUR);
+    lit.interact('read', { impact: 1 });
+    assert.equal(lit.state, 'transcendent');
+
+    const states = [];
+    composer.on('stateChanged', event => states.push(event.to));
+    const result = composer.tick(30 * 24 * HOUR);
+
+    assert.equal(result.evaluated, 1);
+    assert.ok(lit.calculateValue(30 * 24 * HOUR) < 0.4);
+    assert.deepEqual(states, ['nascent']);
+});
+
+test('emit reports a LIT once per period below the floor', () => {
+    const { composer, lit, dissolved } = decayingComposer('emit');
+
+    composer.tick(0);
+    assert.deepEqual(composer.tick(HOUR - 1).dissolved, []);
+    assert.deepEqual(composer.tick(HOUR).dissolved, [lit]);
+    assert.deepEqual(composer.tick(2 * HOUR).dissolved, []);
+    assert.deepEqual(composer.tick(10 * HOUR).dissolved, []);
+    assert.equal(dissolved.length, 1);
+    assert.equal(dissolved[0].belowFloorSince, 0);
+    assert.ok(composer.find(lit.id));
+
+    // Back above the floor, then below again: a new period
+    composer.decay.floor = 0;
+    composer.tick(11 * HOUR);
+    composer.decay.floor = 1;
+    composer.tick(12 * HOUR);
+    composer.tick(13 * HOUR);
+
+    assert.equal(dissolved.length, 2);
+    assert.equal(dissolved[1].belowFloorSince, 12 * HOUR);
+});
+
+test('LITs removed by other code are forgotten', () => {
+    const { composer, lit } = decayingComposer('emit');
+
+    composer.tick(0);
+    assert.ok(composer.decay.belowFloorSince.has(lit.id));
+
+    composer.remove(lit);
+    composer.tick(HOUR);
+    assert.equal(composer.decay.belowFloorSince.size, 0);
+    assert.equal(composer.decay.reported.size, 0);
+});
+
+test('archive moves a dissolved LIT aside and unarchive brings it back', () => {
+    const { composer, lit, dissolved } = decayingComposer('archive');
+
+    composer.tick(0);
+    composer.tick(HOUR);
+
+    assert.ok(!composer.find(lit.id));
+    assert.equal(composer.archived.get(lit.id), lit);
+    assert.equal(dissolved[0].policy, 'archive');
+
+    composer.unarchive(lit.id);
+    assert.ok(composer.find(lit.id));
+    assert.deepEqual(composer.tick(HOUR + 1).dissolved, []);
+    assert.throws(() => composer.unarchive(lit.id), /is not archived/);
+});
+
+test('delete removes a dissolved LIT', () => {
+    const { composer, lit, dissolved } = decayingComposer('delete');
+
+    composer.tick(0);
+    composer.tick(HOUR);
+
+    assert.ok(!composer.find(lit.id));
+    assert.ok(!composer.archived.has(lit.id));
+    assert.equal(dissolved[0].policy, 'delete');
+});
+
+test('an unknown policy is refused', () => {
+    assert.throws(() => new DecayScheduler(new LITComposer(), { policy: 'burn' }), /Unknown dissolution policy "burn"/);
+});
+
+test('start and stop manage a single timer', () => {
+    const scheduler = new DecayScheduler(new LITComposer(), { interval: 1000 });
+
+    const timer = scheduler.start().timer;
+    assert.equal(scheduler.start().timer, timer);
+    assert.equal(scheduler.stop().timer, null);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LIT, LITComposer, LITContext, LITEventEmitter } = require('../lit-framework.js');
+const { XenialFusionEngine } = require('../xenial-fusion.js');
+
+function knowledge(composer, topic) {
+    return composer.compose({ type: 'knowledge', content: { topic, knowledge: `${topic} facts`, persistent: true } });
+}
+
+test('on returns an unsubscribe function and once fires a single time', () => {
+    const emitter = new LITEventEmitter();
+    const seen = [];
+    const unsubscribe = emitter.on('ping', event => seen.push(`on:${event.n}`));
+    emitter.once('ping', event => seen.push(`once:${event.n}`));
+    emitter.on('*', event => seen.push(`*:${event.type}`));
+
+    emitter.emit('ping', { n: 1 });
+    unsubscribe();
+    emitter.emit('ping', { n: 2 });
+
+    assert.deepEqual(seen, ['on:1', 'once:1', '*:ping', '*:ping']);
+});
+
+test('LIT events carry the LIT, a timestamp and their own fields', () => {
+    const context = LITContext.seeded(1, 500);
+    const a = new LIT({ content: { topic: 'a' }, context });
+    const b = new LIT({ content: { topic: 'b' }, context });
+    const events = [];
+    a.on('*', event => events.push(event));
+
+    a.interact('read', { impact: 0.2 });
+    a.transform(content => ({ ...content, extra: true }));
+    a.relate(b, 'supports');
+
+    const byType = type => events.find(event => event.type === type);
+    assert.deepEqual(byType('interacted').data, { impact: 0.2 });
+    assert.deepEqual(byType('transformed').previousContent, { topic: 'a' });
+    assert.equal(byType('related').target, b);
+    assert.equal(byType('related').relation.type, 'supports');
+    events.forEach(event => {
+        assert.equal(event.lit, a);
+        assert.equal(event.timestamp, 500);
+    });
+});
+
+test('stateChanged reports the previous and new state', () => {
+    const lit = new LIT({ content: 'one two three' });
+    const changes = [];
+    lit.on('stateChanged', event => changes.push(event));
+
+    lit.transform(() => ({ metadata: 1, id: 1, relations: 1, value: 1, persistent: true }));
+
+    assert.equal(changes.length, 1);
+    assert.notEqual(changes[0].from, changes[0].to);
+    assert.equal(changes[0].to, lit.state);
+});
+
+test('the composer re-emits events of the LITs it holds, and stops once they leave', () => {
+    const composer = new LITComposer();
+    const types = [];
+    composer.on('*', event => types.push(event.type));
+
+    const a = knowledge(composer, 'a');
+    const b = knowledge(composer, 'b');
+    composer.relate(a, b, 'supports');
+    composer.remove(b);
+    b.interact('read', {});
+
+    assert.deepEqual(types.filter(type => type !== 'stateChanged'), ['created', 'created', 'related', 'removed']);
+});
+
+test('fusion emits fused with its sources, pattern and record', () => {
+    const composer = new LITComposer();
+    const engine = new XenialFusionEngine(composer);
+    const a = knowledge(composer, 'a');
+    const b = knowledge(composer, 'b');
+    const events = [];
+    composer.on('fused', event => events.push(event));
+
+    const result = engine.fuse([a.id, b.id], 'Harmonic Synthesis');
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].lit, result.fusedLIT);
+    assert.deepEqual(events[0].sources, [a, b]);
+    assert.equal(events[0].pattern, 'Harmonic Synthesis');
+    assert.equal(events[0].record, engine.fusionHistory[0]);
+});
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// lit-examples.js expects the framework as browser globals
+Object.assign(global, require('../lit-framework.js'));
+const { demonstrateLITs } = require('../lit-examples.js');
+
+test('every LIT of the demonstration still verifies after its capabilities run', t => {
+    t.mock.method(console, 'log', () => {});
+    const network = demonstrateLITs();
+
+    network.all.forEach(lit => assert.deepEqual(lit.verify(), { valid: true, errors: [] }, lit.id));
+    assert.ok(network.process[0].revisions.length > 1);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LIT, LITComposer } = require('../lit-framework.js');
+
+function graph(edges) {
+    const composer = new LITComposer();
+    const lits = {};
+    const node = name => {
+        if (!lits[name]) lits[name] = composer.compose({ type: 'knowledge', content: { topic: name } });
+        return lits[name];
+    };
+
+    edges.forEach(([from, type, to]) => composer.relate(node(from), node(to), type));
+    return { composer, lits, node };
+}
+
+const names = lits => lits.map(lit => lit.content.topic);
+
+test('neighbors follow direction and relation types', () => {
+    const { composer, lits } = graph([['a', 'supports', 'b'], ['a', 'informs', 'c'], ['d', 'supports', 'a']]);
+
+    assert.deepEqual(names(composer.neighbors(lits.a)), ['b', 'c']);
+    assert.deepEqual(names(composer.neighbors(lits.a, { direction: 'in' })), ['d']);
+    assert.deepEqual(names(composer.neighbors(lits.a, { direction: 'both', types: ['supports'] })), ['b', 'd']);
+    assert.throws(() => composer.neighbors('LIT-missing'), /LIT "LIT-missing" not found/);
+});
+
+test('traverse walks breadth- or depth-first within maxDepth', () => {
+    const { composer, lits } = graph([['a', 'x', 'b'], ['a', 'x', 'c'], ['b', 'x', 'd'], ['d', 'x', 'e']]);
+
+    assert.deepEqual(names(composer.traverse(lits.a).map(node => node.lit)), ['a', 'b', 'c', 'd', 'e']);
+    assert.deepEqual(names(composer.traverse(lits.a, { strategy: 'dfs' }).map(node => node.lit)), ['a', 'b', 'd', 'e', 'c']);
+
+    const shallow = composer.traverse(lits.a, { maxDepth: 1 });
+    assert.deepEqual(shallow.map(node => [node.lit.content.topic, node.depth, node.parentId]), [
+        ['a', 0, null],
+        ['b', 1, lits.a.id],
+        ['c', 1, lits.a.id]
+    ]);
+    assert.equal(shallow[1].relation.type, 'x');
+});
+
+test('shortestPath finds the fewest hops or null', () => {
+    const { composer, lits, node } = graph([['a', 'x', 'b'], ['b', 'x', 'c'], ['c', 'x', 'd'], ['a', 'x', 'd']]);
+    node('lonely');
+
+    assert.deepEqual(names(composer.shortestPath(lits.a, lits.d)), ['a', 'd']);
+    assert.equal(composer.shortestPath(lits.d, lits.a), null);
+    assert.deepEqual(names(composer.shortestPath(lits.d, lits.b, { direction: 'both' })), ['d', 'c', 'b']);
+    assert.equal(composer.shortestPath(lits.a, lits.lonely), null);
+});
+
+test('connectedComponents groups weakly connected LITs, largest first', () => {
+    const { composer, node } = graph([['a', 'x', 'b'], ['c', 'x', 'b'], ['d', 'x', 'e']]);
+    node('f');
+
+    assert.deepEqual(composer.connectedComponents().map(component => names(component).sort()), [
+        ['a', 'b', 'c'],
+        ['d', 'e'],
+        ['f']
+    ]);
+});
+
+test('findCycles reports each cycle, optionally by relation type', () => {
+    const { composer } = graph([
+        ['a', 'informs', 'b'], ['b', 'informs', 'c'], ['c', 'informs', 'a'],
+        ['c', 'supports', 'd'], ['d', 'supports', 'c']
+    ]);
+
+    assert.deepEqual(composer.findCycles().map(names), [['a', 'b', 'c'], ['c', 'd']]);
+    assert.deepEqual(composer.findCycles({ types: ['supports'] }).map(names), [['c', 'd']]);
+    assert.ok(composer.hasCycle());
+    assert.ok(!composer.hasCycle({ types: ['enables'] }));
+});
+
+test('findCycles handles relation chains far deeper than the call stack', () => {
+    const composer = new LITComposer();
+    const length = 20000;
+    let previous = null;
+
+    // Registered directly so the chain builds quickly; relations are indexed on register
+    for (let i = length - 1; i >= 0; i--) {
+        const relations = [{ targetId: previous ? previous.id : 'LIT-0', type: 'next' }];
+        previous = new LIT({ id: `LIT-${i}`, content: i, relations });
+        composer.register(previous);
+    }
+
+    const cycles = composer.findCycles();
+    assert.equal(cycles.length, 1);
+    assert.equal(cycles[0].length, length);
+});
+
+test('the index follows unrelate and removal', () => {
+    const { composer, lits } = graph([['a', 'x', 'b'], ['b', 'x', 'c'], ['c', 'x', 'a']]);
+
+    composer.unrelate(lits.c, lits.a);
+    assert.ok(!composer.hasCycle());
+    assert.deepEqual(names(composer.neighbors(lits.a, { direction: 'in' })), []);
+
+    composer.remove(lits.b);
+    assert.deepEqual(names(composer.traverse(lits.a).map(node => node.lit)), ['a']);
+});
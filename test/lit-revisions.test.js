@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LIT, LITComposer, LITContext, LITValidationError } = require('../lit-framework.js');
+
+function note(context = LITContext.seeded(2, 100)) {
+    return new LIT({ type: 'note', content: { title: 'draft', tags: ['a'] }, context });
+}
+
+test('every transform records a frozen revision and bumps the version', () => {
+    const lit = note();
+
+    lit.transform(content => ({ ...content, title: 'second' }));
+    lit.transform(content => ({ ...content, body: 'added' }));
+    lit.transform(content => content, { bump: 'major' });
+
+    assert.deepEqual(lit.history().map(r => [r.number, r.parent, r.operation, r.version]), [
+        [0, null, 'create', '1.0.0'],
+        [1, 0, 'transform', '1.0.1'],
+        [2, 1, 'transform', '1.1.0'],
+        [3, 2, 'transform', '2.0.0']
+    ]);
+    assert.ok(Object.isFrozen(lit.revision(1)));
+    assert.ok(Object.isFrozen(lit.revision(1).content.tags));
+    assert.equal(lit.revision(1).content.title, 'second');
+});
+
+test('diff lists added, removed and changed paths', () => {
+    const lit = note();
+    lit.transform(() => ({ title: 'final', tags: ['a', 'b'], body: 'text' }));
+    lit.transform(content => ({ tags: content.tags, body: content.body }));
+
+    assert.deepEqual(lit.diff(0, 1), [
+        { path: 'title', kind: 'changed', from: 'draft', to: 'final' },
+        { path: 'tags[1]', kind: 'added', from: undefined, to: 'b' },
+        { path: 'body', kind: 'added', from: undefined, to: 'text' }
+    ]);
+    assert.deepEqual(lit.diff(1), [{ path: 'title', kind: 'removed', from: 'final', to: undefined }]);
+    assert.throws(() => lit.diff(0, 7), /Revision 7 of LIT ".*" not found/);
+});
+
+test('revert restores past content as a new revision', () => {
+    const lit = note();
+    lit.transform(content => ({ ...content, title: 'changed' }));
+    lit.revert(0);
+
+    assert.deepEqual(lit.content, { title: 'draft', tags: ['a'] });
+    assert.equal(lit.revisions.length, 3);
+    assert.equal(lit.revision(2).operation, 'revert');
+    assert.equal(lit.revision(2).revertedTo, 0);
+    assert.equal(lit.revision(2).contentHash, lit.revision(0).contentHash);
+
+    // The restored content is a copy, not the frozen revision
+    lit.content.title = 'mutable';
+    assert.equal(lit.revision(0).content.title, 'draft');
+});
+
+test('fork starts a new LIT from a past revision, linked back to its source', () => {
+    const composer = new LITComposer({ context: LITContext.seeded(2, 100) });
+    const lit = composer.compose({
+        type: 'note',
+        content: { title: 'draft' },
+        capabilities: [{ name: 'read', handler: ({ lit }) => lit.content.title }]
+    });
+    lit.transform(() => ({ title: 'published' }));
+
+    const fork = composer.fork(lit, 0, { metadata: { branch: 'alt' } });
+
+    assert.notEqual(fork.id, lit.id);
+    assert.ok(composer.find(fork.id));
+    assert.deepEqual(fork.content, { title: 'draft' });
+    assert.deepEqual(fork.metadata, { branch: 'alt' });
+    assert.deepEqual(fork.relations.map(r => [r.targetId, r.type]), [[lit.id, 'forked-from']]);
+    assert.equal(fork.executeCapability('read'), 'draft');
+
+    assert.deepEqual(lit.forkConfig(0).metadata.forkedFrom, { id: lit.id, revision: 0 });
+});
+
+test('typed LITs refuse a transform that breaks their schema and keep their history', () => {
+    const composer = new LITComposer({ standardTypes: true });
+    const lit = composer.compose({ type: 'knowledge', content: { topic: 'rivers', knowledge: 'flow' } });
+
+    assert.throws(() => lit.transform(content => ({ ...content, topic: 42 })), LITValidationError);
+    assert.equal(lit.revisions.length, 1);
+    assert.equal(lit.content.topic, 'rivers');
+});
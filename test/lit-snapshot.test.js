@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LIT, LITComposer, LITContext } = require('../lit-framework.js');
+
+function composeWorker(composer) {
+    const lit = composer.compose({
+        type: 'process',
+        content: { name: 'brew', steps: ['grind', 'pour'] },
+        capabilities: [{ name: 'execute', handler: ({ lit }) => lit.content.steps.length }]
+    });
+    lit.interact('read', { impact: 0.4 });
+    lit.executeCapability('execute');
+    return lit;
+}
+
+test('a snapshot round-trips temporal history, capabilities and state', () => {
+    const context = LITContext.seeded(7, 1000);
+    const lit = composeWorker(new LITComposer({ context }));
+    context.clock.advance(5000);
+
+    const composer = new LITComposer({ context });
+    composer.capabilities.register('execute', ({ lit }) => lit.content.steps.length * 10);
+    const restored = composer.restore(JSON.parse(JSON.stringify(lit.toJSON())));
+
+    assert.equal(restored.id, lit.id);
+    assert.equal(restored.state, lit.state);
+    assert.deepEqual(restored.temporalSignature.toJSON(), lit.temporalSignature.toJSON());
+    assert.deepEqual(restored.agentSystem.toJSON(), lit.agentSystem.toJSON());
+    assert.deepEqual(restored.revisions, lit.revisions);
+    assert.equal(restored.calculateValue(), lit.calculateValue());
+
+    // Handlers come from the restoring composer's registry
+    assert.equal(restored.executeCapability('execute'), 20);
+    assert.equal(restored.agentSystem.capabilities[0].uses, 2);
+});
+
+test('type-scoped handlers win over unscoped ones', () => {
+    const composer = new LITComposer();
+    composer.capabilities.register('execute', () => 'any');
+    composer.capabilities.register('execute', () => 'process', 'process');
+    const snapshot = composeWorker(new LITComposer()).toJSON();
+
+    assert.equal(composer.restore(snapshot).executeCapability('execute'), 'process');
+});
+
+test('capabilities without a registered handler keep their uses but cannot run', () => {
+    const lit = composeWorker(new LITComposer());
+    const restored = LIT.fromJSON(lit.toJSON());
+
+    assert.equal(restored.agentSystem.capabilities[0].uses, 1);
+    assert.equal(restored.agentSystem.agencyScore, lit.agentSystem.agencyScore);
+    assert.throws(() => restored.executeCapability('execute'), /Capability "execute" has no handler attached/);
+    assert.throws(() => restored.executeCapability('missing'), /Capability "missing" not found/);
+});
+
+test('legacy exports restore as freshly composed LITs', () => {
+    const restored = LIT.fromJSON({ id: 'LIT-legacy', type: 'knowledge', content: { topic: 'old' }, relations: [] });
+
+    assert.equal(restored.id, 'LIT-legacy');
+    assert.deepEqual(restored.temporalSignature.interactions, []);
+    assert.deepEqual(restored.agentSystem.capabilities, []);
+});
+
+test('snapshots from a newer layout are refused', () => {
+    const snapshot = { ...new LIT({ content: { topic: 'x' } }).toJSON(), snapshotVersion: 99 };
+    assert.throws(() => LIT.fromJSON(snapshot), /Unsupported LIT snapshot version 99/);
+});
+
+test('a registry refuses handlers that are not functions', () => {
+    const composer = new LITComposer();
+    assert.throws(() => composer.capabilities.register('execute', 'nope'), /handler must be a function/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LITComposer } = require('../lit-framework.js');
+const { MemoryStorageAdapter, JSONFileStorageAdapter, IndexedDBStorageAdapter } = require('../lit-storage.js');
+
+// Just enough of IndexedDB for one transaction that aborts without an error event
+function abortingIndexedDB() {
+    const transaction = {
+        error: new Error('QuotaExceededError'),
+        objectStore: () => ({ put: () => ({ result: undefined }) })
+    };
+    const database = {
+        transaction: () => {
+            setTimeout(() => transaction.onabort());
+            return transaction;
+        }
+    };
+    return {
+        open: () => {
+            const request = { result: database };
+            setTimeout(() => request.onsuccess());
+            return request;
+        }
+    };
+}
+
+test('an IndexedDB transaction that aborts rejects the write', async () => {
+    const storage = new IndexedDBStorageAdapter('lit-store', abortingIndexedDB());
+    await assert.rejects(storage.save('lits', 'a', {}), /QuotaExceededError/);
+});
+
+test('archived LITs are restored by hydrate', async () => {
+    const storage = new MemoryStorageAdapter();
+    const composer = new LITComposer({ storage });
+    const kept = composer.compose({ type: 'knowledge', content: { topic: 'kept', knowledge: 'stays' } });
+    const archived = composer.compose({ type: 'knowledge', content: { topic: 'archived', knowledge: 'sleeps' } });
+    composer.archive(archived);
+    await composer.flush();
+
+    const reloaded = new LITComposer({ storage });
+    await reloaded.hydrate();
+
+    assert.ok(reloaded.registry.has(kept.id));
+    assert.ok(!reloaded.registry.has(archived.id));
+    assert.equal(reloaded.archived.get(archived.id).content.knowledge, 'sleeps');
+
+    reloaded.unarchive(archived.id);
+    assert.ok(reloaded.registry.has(archived.id));
+});
+
+test('concurrent saves to a JSON file all land', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lit-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'store', 'x.json');
+
+    const storage = new JSONFileStorageAdapter(filePath);
+    await Promise.all(['a', 'b', 'c'].map(id => storage.save('lits', id, { id })));
+    await Promise.all([storage.delete('lits', 'b'), storage.save('archive', 'b', { id: 'b' })]);
+
+    const reloaded = new JSONFileStorageAdapter(filePath);
+    assert.deepEqual((await reloaded.list('lits')).map(r => r.id), ['a', 'c']);
+    assert.deepEqual(await reloaded.load('archive', 'b'), { id: 'b' });
+    assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['x.json']);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, LITValidationError } = require('../lit-framework.js');
+
+test('a default composer accepts untyped content for the standard type names', () => {
+    const composer = new LITComposer();
+    const lit = composer.compose({ type: 'process' });
+
+    assert.equal(lit.type, 'process');
+    assert.equal(composer.types.size, 0);
+});
+
+test('standard types validate content and capabilities once opted in', () => {
+    const composer = new LITComposer({ standardTypes: true });
+
+    assert.throws(() => composer.compose({ type: 'process' }), err => {
+        assert.ok(err instanceof LITValidationError);
+        assert.deepEqual(err.errors.map(e => e.path), ['content.name', 'content.steps', 'capabilities.execute']);
+        return true;
+    });
+
+    const lit = composer.compose({
+        type: 'process',
+        content: { name: 'brew', steps: ['grind', 'pour'] },
+        capabilities: [{ name: 'execute', handler: () => null }]
+    });
+    assert.equal(lit.content.status, 'ready');
+});
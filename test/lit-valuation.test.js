@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, LITContext } = require('../lit-framework.js');
+
+function network(size) {
+    const composer = new LITComposer({ context: LITContext.seeded(5, 0) });
+    const lits = Array.from({ length: size }, (_, i) => composer.compose({
+        type: 'knowledge',
+        content: { topic: `t${i}`, knowledge: 'k', persistent: true }
+    }));
+    return { composer, lits };
+}
+
+// Counts the runs of compute() that rebuilt the ranks rather than returning them
+function countRuns(t, valuation) {
+    const runs = { count: 0 };
+    const compute = valuation.compute;
+    t.mock.method(valuation, 'compute', function (...args) {
+        const before = this.ranks;
+        const ranks = compute.apply(this, args);
+        if (ranks !== before) runs.count++;
+        return ranks;
+    });
+    return runs;
+}
+
+test('LITs cited by others gain influence over the LITs citing them', () => {
+    const { composer, lits } = network(5);
+    const [hub, ...citers] = lits;
+    citers.forEach(lit => composer.relate(lit, hub, 'supports'));
+    composer.setValuationMode('network');
+
+    assert.ok(composer.influence(hub) > 1);
+    citers.forEach(lit => assert.ok(composer.influence(lit) < composer.influence(hub)));
+
+    const total = lits.reduce((sum, lit) => sum + composer.influence(lit), 0);
+    assert.ok(Math.abs(total - lits.length) < 1e-6);
+});
+
+test('network mode replaces the local relation bonus and can be switched back', () => {
+    const { composer, lits } = network(3);
+    composer.relate(lits[0], lits[1], 'supports');
+    composer.relate(lits[0], lits[2], 'supports');
+    const local = lits[0].calculateValue();
+
+    composer.setValuationMode('network');
+    assert.equal(lits[0].valuation, composer.valuation);
+    assert.notEqual(lits[0].calculateValue(), local);
+
+    composer.setValuationMode('local');
+    assert.equal(lits[0].valuation, null);
+    assert.equal(lits[0].calculateValue(), local);
+    assert.throws(() => composer.setValuationMode('global'), /Unknown valuation mode "global"/);
+});
+
+test('ranks are rebuilt on graph changes, not on every LIT event', t => {
+    const { composer, lits } = network(20);
+    composer.setValuationMode('network');
+    const runs = countRuns(t, composer.valuation);
+
+    composer.measureNetworkCoherence();
+    assert.equal(runs.count, 1);
+
+    // Interactions, transforms and state changes leave the graph alone
+    lits.forEach((lit, i) => {
+        lit.interact('read', { impact: 0.5 });
+        lit.transform(content => ({ ...content, revised: i }));
+    });
+    composer.measureNetworkCoherence();
+    assert.equal(runs.count, 1);
+
+    // One rebuild per relation change, however many LITs are valued afterwards
+    composer.relate(lits[0], lits[1], 'supports');
+    lits.forEach(lit => lit.calculateValue());
+    assert.equal(runs.count, 2);
+
+    composer.unrelate(lits[0], lits[1]);
+    assert.equal(runs.count, 3);
+    composer.remove(lits[19]);
+    composer.measureNetworkCoherence();
+    assert.equal(runs.count, 4);
+
+    // Value drift is picked up once refreshInterval has passed
+    composer.context.clock.advance(composer.valuation.refreshInterval);
+    lits.slice(0, 19).forEach(lit => lit.calculateValue());
+    assert.equal(runs.count, 5);
+});
+
+test('centrality reports degree, closeness and influence', () => {
+    const { composer, lits } = network(4);
+    composer.network(lits.slice(0, 3), 'informs');
+
+    const middle = composer.centrality(lits[1]);
+    assert.equal(middle.inDegree, 1);
+    assert.equal(middle.outDegree, 1);
+    assert.equal(middle.degree, 2 / 6);
+    assert.equal(middle.closeness, (2 / 2) * (2 / 3));
+    assert.equal(middle.influence, composer.influence(lits[1]));
+
+    const isolated = composer.centrality(lits[3]);
+    assert.equal(isolated.degree, 0);
+    assert.equal(isolated.closeness, 0);
+});
+
+test('a fragmented network is less coherent than a connected one', () => {
+    const connected = network(4);
+    connected.composer.network(connected.lits, 'supports');
+    connected.composer.setValuationMode('network');
+
+    const fragmented = network(4);
+    fragmented.composer.relate(fragmented.lits[0], fragmented.lits[1], 'supports');
+    fragmented.composer.setValuationMode('network');
+
+    assert.ok(fragmented.composer.measureNetworkCoherence() < connected.composer.measureNetworkCoherence());
+    assert.equal(new LITComposer().measureNetworkCoherence(), 0);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const XENPortfolio = require('../xen-portfolio.js');
+
+const DAY = 86400;
+const NOW = 1700000000;
+
+const row = (chainId, fields = {}) => ({ chainId, name: `Chain ${chainId}`, term: 0, maturityTs: 0, gross: null, balance: null, error: null, ...fields });
+
+test('portfolioPhase follows the mint through commitment, cultivation and harvest', () => {
+    const mint = row(1, { term: 100, maturityTs: NOW, gross: 1000 });
+
+    assert.equal(XENPortfolio.portfolioPhase(row(1), NOW), 'commitment');
+    assert.equal(XENPortfolio.portfolioPhase(mint, NOW - 1), 'cultivation');
+    assert.equal(XENPortfolio.portfolioPhase(mint, NOW), 'cultivation');
+    assert.equal(XENPortfolio.portfolioPhase(mint, NOW + 1), 'harvest');
+});
+
+test('projectedReward applies the late-claim penalty of the moment', () => {
+    const mint = row(1, { term: 100, maturityTs: NOW, gross: 1000 });
+
+    assert.equal(XENPortfolio.projectedReward(mint, NOW - 10 * DAY), 1000);
+    assert.equal(XENPortfolio.projectedReward(mint, NOW + DAY), 990);
+    assert.equal(XENPortfolio.projectedReward(mint, NOW + 2 * DAY), 970);
+    assert.equal(XENPortfolio.projectedReward(mint, NOW + 7 * DAY), 10);
+    assert.equal(XENPortfolio.projectedReward(row(1), NOW), null);
+});
+
+test('sortPortfolio puts the nearest maturity first, then chains without a mint, then failures', () => {
+    const rows = [
+        row(1, { error: new Error('timeout') }),
+        row(10),
+        row(56, { term: 30, maturityTs: NOW + 30 * DAY, gross: 1 }),
+        row(137, { term: 5, maturityTs: NOW - DAY, gross: 1 }),
+        row(250, { term: 10, maturityTs: NOW + DAY, gross: 1 })
+    ];
+
+    const sorted = XENPortfolio.sortPortfolio(rows);
+
+    assert.deepEqual(sorted.map(r => r.chainId), [137, 250, 56, 10, 1]);
+    assert.deepEqual(rows.map(r => r.chainId), [1, 10, 56, 137, 250]);
+});
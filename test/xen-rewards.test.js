@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const XENRewards = require('../xen-rewards.js');
+
+const DAY = XENRewards.XEN_CONSTANTS.SECONDS_IN_DAY;
+
+// Expected values are worked through the XENCrypto functions of the same purpose
+
+test('penalty follows _penalty: 2^(daysLate + 3) / 7 - 1, then 99 from day 7', () => {
+    const expected = [0, 1, 3, 8, 17, 35, 72, 99, 99];
+    expected.forEach((pct, day) => assert.equal(XENRewards.penalty(day * DAY), pct, `day ${day}`));
+
+    // Whole days only
+    assert.equal(XENRewards.penalty(DAY - 1), 0);
+    assert.equal(XENRewards.penalty(2 * DAY + DAY / 2), 3);
+    assert.equal(XENRewards.penalty(-DAY), 0);
+});
+
+test('penaltySchedule lists each day through the first at the maximum', () => {
+    assert.deepEqual(XENRewards.penaltySchedule(), [
+        { day: 0, penalty: 0 },
+        { day: 1, penalty: 1 },
+        { day: 2, penalty: 3 },
+        { day: 3, penalty: 8 },
+        { day: 4, penalty: 17 },
+        { day: 5, penalty: 35 },
+        { day: 6, penalty: 72 },
+        { day: 7, penalty: 99 }
+    ]);
+});
+
+test('eaaRate follows _calculateEAARate: 100 less one per 100,000 ranks, never below 0', () => {
+    assert.equal(XENRewards.eaaRate(1), 100);
+    assert.equal(XENRewards.eaaRate(99999), 100);
+    assert.equal(XENRewards.eaaRate(100000), 99);
+    assert.equal(XENRewards.eaaRate(250000), 98);
+    assert.equal(XENRewards.eaaRate(9999999), 1);
+    assert.equal(XENRewards.eaaRate(10000000), 0);
+    assert.equal(XENRewards.eaaRate(20000000), 0);
+});
+
+test('maxTerm follows _calculateMaxTerm: 100 days, then 100 + log2(globalRank) * 15, at most 1000', () => {
+    assert.equal(XENRewards.maxTerm(1), 100);
+    assert.equal(XENRewards.maxTerm(5000), 100);
+    assert.equal(XENRewards.maxTerm(5001), 284);        // log2(5001) * 15 = 184.3
+    assert.equal(XENRewards.maxTerm(1 << 20), 400);     // log2 = 20
+    assert.equal(XENRewards.maxTerm(20000000), 463);    // log2(2e7) * 15 = 363.8
+    assert.equal(XENRewards.maxTerm(Number.MAX_SAFE_INTEGER), 895);
+});
+
+test('rewardAmplifier follows _calculateRewardAmplifier: 3000 less one a day, never below 1', () => {
+    const genesisTs = 1665250163;   // XENCrypto on Ethereum
+    assert.equal(XENRewards.rewardAmplifier(genesisTs, genesisTs), 3000);
+    assert.equal(XENRewards.rewardAmplifier(genesisTs, genesisTs + DAY - 1), 3000);
+    assert.equal(XENRewards.rewardAmplifier(genesisTs, genesisTs + DAY), 2999);
+    assert.equal(XENRewards.rewardAmplifier(genesisTs, genesisTs + 2999 * DAY), 1);
+    assert.equal(XENRewards.rewardAmplifier(genesisTs, genesisTs + 5000 * DAY), 1);
+});
+
+test('grossReward follows getGrossReward: log2(rankDelta) * amplifier * term * eaa / 1000', () => {
+    assert.equal(XENRewards.grossReward(2, 3000, 100, 1100), 330000);
+    assert.equal(XENRewards.grossReward(1024, 2100, 100, 1000), 2100000);
+    assert.equal(XENRewards.grossReward(0, 3000, 100, 1100), 0);
+});
+
+test('mintReward follows claimMintReward', () => {
+    const maturityTs = 1700000000;
+    const mint = { rank: 1000, term: 100, maturityTs, amplifier: 3000, eaaRate: 100 };
+
+    // rankDelta 1024, log2 = 10
+    assert.deepEqual(XENRewards.mintReward(mint, 2024, maturityTs), {
+        rankDelta: 1024,
+        eaa: 1100,
+        gross: 3300000,
+        penalty: 0,
+        net: 3300000
+    });
+
+    // No penalty before maturity
+    assert.equal(XENRewards.mintReward(mint, 2024, maturityTs - 10 * DAY).penalty, 0);
+
+    // Two days late: 3% withheld
+    const late = XENRewards.mintReward(mint, 2024, maturityTs + 2 * DAY);
+    assert.equal(late.penalty, 3);
+    assert.equal(late.net, 3201000);
+
+    // rankDelta is at least 2
+    assert.equal(XENRewards.mintReward(mint, 1000, maturityTs).rankDelta, 2);
+    assert.equal(XENRewards.mintReward(mint, 1000, maturityTs).gross, 330000);
+
+    // Past the withdrawal window only 1% is paid
+    assert.equal(XENRewards.mintReward(mint, 2024, maturityTs + 7 * DAY).net, 33000);
+});
+
+test('stakeReward follows _calculateStakeReward', () => {
+    const stake = { term: 365, maturityTs: 1700000000, amount: 1000, apy: 20 };
+    assert.equal(XENRewards.stakeReward(stake, stake.maturityTs), 0);
+    assert.equal(XENRewards.stakeReward(stake, stake.maturityTs + 1), 200);
+});
+
+test('apy follows _calculateAPY: 20% less one point every 90 days, never below 2%', () => {
+    const genesisTs = 1665250163;
+    assert.equal(XENRewards.apy(genesisTs, genesisTs), 20);
+    assert.equal(XENRewards.apy(genesisTs, genesisTs + 90 * DAY - 1), 20);
+    assert.equal(XENRewards.apy(genesisTs, genesisTs + 90 * DAY), 19);
+    assert.equal(XENRewards.apy(genesisTs, genesisTs + 18 * 90 * DAY), 2);
+    assert.equal(XENRewards.apy(genesisTs, genesisTs + 5000 * DAY), 2);
+});
+
+test('mintPhase is harvest only once claimMintReward accepts the mint', () => {
+    const mint = { term: 100, maturityTs: 1700000000 };
+
+    assert.equal(XENRewards.mintPhase({ term: 0, maturityTs: 0 }, mint.maturityTs), 'commitment');
+    assert.equal(XENRewards.mintPhase(mint, mint.maturityTs - 1), 'cultivation');
+    // block.timestamp > maturityTs: the maturity second itself still reverts
+    assert.equal(XENRewards.mintPhase(mint, mint.maturityTs), 'cultivation');
+    assert.equal(XENRewards.mintPhase(mint, mint.maturityTs + 1), 'harvest');
+});
+
+test('splitReward follows claimMintRewardAndShare and claimMintRewardAndStake', () => {
+    assert.deepEqual(XENRewards.splitReward(3300000, 25), { part: 825000, kept: 2475000 });
+    assert.deepEqual(XENRewards.splitReward(999, 50), { part: 499, kept: 500 });
+    assert.deepEqual(XENRewards.splitReward(999, 100), { part: 999, kept: 0 });
+});
+
+test('parsePercent and parseStakeTerm accept what the contract accepts', () => {
+    assert.deepEqual(['1', '50', '100', 100].map(XENRewards.parsePercent), [1, 50, 100, 100]);
+    assert.deepEqual(['0', '101', '12.5', '', 'ten', '-5'].map(XENRewards.parsePercent), [null, null, null, null, null, null]);
+
+    assert.deepEqual(['1', '365', '1000'].map(XENRewards.parseStakeTerm), [1, 365, 1000]);
+    assert.deepEqual(['0', '1001', '30.5', ''].map(XENRewards.parseStakeTerm), [null, null, null, null]);
+});
+
+test('clampTerm keeps a term within what claimRank accepts at the global rank', () => {
+    assert.equal(XENRewards.clampTerm(550, 1), 100);
+    assert.equal(XENRewards.clampTerm(550, 5001), 284);
+    assert.equal(XENRewards.clampTerm(30, 5001), 30);
+    assert.equal(XENRewards.clampTerm(0, 1), 1);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, LITTimeoutError } = require('../lit-framework.js');
+const { XenialFusionEngine, FusionPattern } = require('../xenial-fusion.js');
+
+// An engine with one async pattern whose logic waits on `gate` before composing
+function setup(gate) {
+    const composer = new LITComposer();
+    const engine = new XenialFusionEngine(composer, { concurrency: 1 });
+    engine.registerPattern(new FusionPattern('Slow Synthesis', 'Waits before composing', async (lits, sandbox, signal) => {
+        await gate(signal);
+        return sandbox.litComposer.compose({
+            type: 'synthesis',
+            content: { parts: lits.map(lit => lit.content.topic), persistent: true }
+        });
+    }));
+
+    const lits = ['a', 'b'].map(topic => composer.compose({ type: 'knowledge', content: { topic, knowledge: topic, persistent: true } }));
+    return { composer, engine, ids: lits.map(lit => lit.id) };
+}
+
+const never = () => new Promise(() => {});
+
+test('fuseAsync commits the fused LIT once the async logic resolves', async () => {
+    const { composer, engine, ids } = setup(() => Promise.resolve());
+
+    const { fusedLIT, pattern } = await engine.fuseAsync(ids, 'Slow Synthesis');
+
+    assert.equal(pattern, 'Slow Synthesis');
+    assert.equal(composer.find(fusedLIT.id), fusedLIT);
+    assert.deepEqual(fusedLIT.content.parts, ['a', 'b']);
+    assert.equal(engine.fusionPatterns.get('Slow Synthesis').usageCount, 1);
+    assert.deepEqual(engine.fusionHistory.map(r => r.kind), ['fusion']);
+    assert.throws(() => engine.fuse(ids, 'Slow Synthesis'), /Slow Synthesis is asynchronous; use fuseAsync/);
+});
+
+test('a fusion that never settles times out, records a failure and frees the queue', async () => {
+    const { composer, engine, ids } = setup(never);
+
+    await assert.rejects(engine.fuseAsync(ids, 'Slow Synthesis', { timeout: 20 }), LITTimeoutError);
+
+    assert.equal(composer.getAllLITs().length, 2);
+    assert.equal(engine.fusionPatterns.get('Slow Synthesis').usageCount, 0);
+    assert.deepEqual(engine.fusionHistory.map(r => [r.kind, r.pattern, r.error]), [['failure', 'Slow Synthesis', 'LITTimeoutError']]);
+    assert.equal(engine.limiter.orphaned, 1);
+
+    // The engine allows one fusion at a time, and the hung one no longer holds it
+    const { fusedLIT } = await engine.fuseAsync(ids, 'Harmonic Synthesis', { timeout: 1000 });
+    assert.equal(composer.find(fusedLIT.id), fusedLIT);
+});
+
+test('an abort during the fusion logic discards the staged LIT', async () => {
+    const controller = new AbortController();
+    const { composer, engine, ids } = setup(signal => new Promise((_, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+
+    const pending = engine.fuseAsync(ids, 'Slow Synthesis', { signal: controller.signal });
+    await new Promise(setImmediate);
+    controller.abort(new Error('user cancelled'));
+
+    await assert.rejects(pending, /user cancelled/);
+    assert.equal(composer.getAllLITs().length, 2);
+    assert.deepEqual(engine.fusionHistory.map(r => [r.kind, r.reason]), [['failure', 'user cancelled']]);
+    await new Promise(setImmediate);
+    assert.equal(engine.limiter.orphaned, 0);
+});
+
+test('fuseAsync supports dry runs and probabilistic candidates', async () => {
+    const { composer, engine, ids } = setup(() => Promise.resolve());
+
+    const preview = await engine.fuseAsync(ids, 'Slow Synthesis', { dryRun: true });
+    assert.equal(preview.dryRun, true);
+    assert.equal(composer.find(preview.fusedLIT.id), undefined);
+
+    const { candidates } = await engine.fuseAsync(ids, null, { probabilistic: true });
+    assert.ok(candidates.some(c => c.pattern === 'Slow Synthesis'));
+    assert.equal(composer.getAllLITs().length, 2);
+    assert.deepEqual(engine.fusionHistory, []);
+});
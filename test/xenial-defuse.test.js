@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, LITContext } = require('../lit-framework.js');
+const { XenialFusionEngine } = require('../xenial-fusion.js');
+
+function creative(composer, medium) {
+    return composer.compose({ type: 'creative', content: { medium, outputs: [], persistent: true } });
+}
+
+// Two creative LITs fused by Creative Amplification, with one emergent output to carry back
+function amplified() {
+    const composer = new LITComposer({ context: LITContext.seeded(11, 1000) });
+    const engine = new XenialFusionEngine(composer);
+    const a = creative(composer, 'ink');
+    const b = creative(composer, 'sound');
+    const { fusedLIT } = engine.fuse([a.id, b.id], 'Creative Amplification');
+    fusedLIT.executeCapability('generate_emergent');
+    return { composer, engine, a, b, fusedLIT };
+}
+
+test('defuse carries outputs back to the sources and removes the fused LIT', () => {
+    const { composer, engine, a, b, fusedLIT } = amplified();
+    const events = [];
+    composer.on('defused', event => events.push(event));
+
+    const { sources, record } = engine.defuse(fusedLIT.id);
+
+    assert.deepEqual(sources, [a, b]);
+    assert.equal(composer.find(fusedLIT.id), undefined);
+    sources.forEach(source => {
+        assert.equal(source.content.outputs.length, 1);
+        assert.equal(source.content.outputs[0].defusedFrom, fusedLIT.id);
+        assert.ok(!source.relations.some(r => r.targetId === fusedLIT.id));
+    });
+
+    assert.deepEqual(record.carriedBack, { outputs: 1 });
+    assert.deepEqual(record.recreatedIDs, []);
+    assert.equal(record.fusionID, `fusion-${fusedLIT.id}`);
+    assert.deepEqual(engine.fusionHistory.map(r => r.kind), ['fusion', 'defusion']);
+    assert.equal(engine.findFusionRecord(fusedLIT.id), null);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].record, record);
+});
+
+test('sources that are gone are unarchived or re-created from their snapshot', () => {
+    const { composer, engine, a, b, fusedLIT } = amplified();
+    composer.archive(a);
+    composer.remove(b);
+
+    const { sources, record } = engine.defuse(fusedLIT.id);
+
+    assert.equal(sources[0], a);
+    assert.ok(!composer.archived.has(a.id));
+    assert.notEqual(sources[1], b);
+    assert.equal(sources[1].id, b.id);
+    assert.equal(composer.find(b.id), sources[1]);
+    assert.deepEqual(record.recreatedIDs, [a.id, b.id]);
+});
+
+test('defuse refuses LITs it cannot decompose', () => {
+    const { composer, engine, a, fusedLIT } = amplified();
+
+    assert.throws(() => engine.defuse(a.id), /was not produced by a fusion/);
+
+    const c = creative(composer, 'light');
+    const { fusedLIT: outer } = engine.fuse([fusedLIT.id, c.id], 'Creative Amplification');
+    assert.throws(() => engine.defuse(fusedLIT.id), new RegExp(`was fused into "${outer.id}"; defuse that first`));
+
+    engine.fusionHistory.find(r => r.resultID === outer.id).sourceSnapshots = {};
+    composer.remove(c);
+    assert.throws(() => engine.defuse(outer.id), new RegExp(`Source LIT "${c.id}" no longer exists`));
+
+    const x = composer.compose({ type: 'knowledge', content: { topic: 'x', knowledge: 'x', persistent: true } });
+    const y = composer.compose({ type: 'process', content: { steps: ['y'], persistent: true } });
+    const { fusedLIT: transcendent } = engine.fuse([x.id, y.id], 'Xenial Transcendence');
+    assert.throws(() => engine.defuse(transcendent.id), /Xenial Transcendence fusions cannot be reversed/);
+});
+
+test('a defuse that fails partway leaves the fusion as it was', t => {
+    const { composer, engine, a, b, fusedLIT } = amplified();
+    composer.archive(a);
+    const events = [];
+    composer.on('*', event => events.push(event.type));
+
+    // Fails after the carry-back and the unrelate calls have run
+    t.mock.method(composer, 'remove', () => {
+        throw new Error('remove failed');
+    });
+    assert.throws(() => engine.defuse(fusedLIT.id), /remove failed/);
+
+    assert.equal(composer.find(fusedLIT.id), fusedLIT);
+    assert.equal(composer.find(a.id), undefined);
+    assert.equal(composer.archived.get(a.id), a);
+    assert.deepEqual([a, b].map(source => source.content.outputs.length), [0, 0]);
+    assert.ok(b.relations.some(r => r.targetId === fusedLIT.id && r.type === 'fused-into'));
+    assert.deepEqual(composer.neighbors(fusedLIT, { direction: 'in' }).map(lit => lit.id), [b.id]);
+    assert.deepEqual(engine.fusionHistory.map(r => r.kind), ['fusion']);
+    assert.deepEqual(events, []);
+
+    t.mock.restoreAll();
+    const { sources } = engine.defuse(fusedLIT.id);
+    assert.deepEqual(sources.map(source => source.content.outputs.length), [1, 1]);
+});
+
+test('source snapshots are not changed when a source is fused again', () => {
+    const { composer, engine, a, fusedLIT } = amplified();
+    const [record] = engine.fusionHistory;
+    const snapshot = JSON.stringify(record.sourceSnapshots[a.id]);
+
+    const c = creative(composer, 'light');
+    engine.fuse([a.id, c.id], 'Creative Amplification');
+
+    assert.equal(JSON.stringify(record.sourceSnapshots[a.id]), snapshot);
+    assert.equal(record.recordHash, engine.hashRecord(record));
+    assert.deepEqual(engine.verifyLineage(fusedLIT.id).errors, []);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer } = require('../lit-framework.js');
+const { XenialFusionEngine } = require('../xenial-fusion.js');
+const { MemoryStorageAdapter } = require('../lit-storage.js');
+
+test('a throwing fused listener leaves the committed fusion in place', async () => {
+    const storage = new MemoryStorageAdapter();
+    const listenerErrors = [];
+    const composer = new LITComposer({ storage, onListenerError: err => listenerErrors.push(err.message) });
+    const engine = new XenialFusionEngine(composer);
+
+    const a = composer.compose({ type: 'knowledge', content: { topic: 'a', knowledge: 'x', persistent: true } });
+    const b = composer.compose({ type: 'knowledge', content: { topic: 'b', knowledge: 'y', persistent: true } });
+    composer.on('fused', () => {
+        throw new Error('listener failed');
+    });
+
+    const result = engine.fuse([a.id, b.id], 'Harmonic Synthesis');
+    await composer.flush();
+
+    assert.deepEqual(listenerErrors, ['listener failed']);
+    assert.equal(composer.getAllLITs().length, 3);
+    assert.ok(composer.find(result.fusedLIT.id));
+    assert.ok(a.relations.some(r => r.targetId === result.fusedLIT.id && r.type === 'fused-into'));
+    assert.equal(engine.fusionPatterns.get('Harmonic Synthesis').usageCount, 1);
+
+    // Memory and storage agree on one fusion and no failure
+    assert.deepEqual(engine.fusionHistory.map(r => r.kind), ['fusion']);
+    assert.deepEqual((await storage.list('fusions')).map(r => r.kind), ['fusion']);
+    assert.equal((await storage.list('lits')).length, 3);
+});
+
+test('an error before the release still rolls the fusion back', async () => {
+    const storage = new MemoryStorageAdapter();
+    const composer = new LITComposer({ storage });
+    const engine = new XenialFusionEngine(composer);
+
+    const a = composer.compose({ type: 'knowledge', content: { topic: 'a', knowledge: 'x', persistent: true } });
+    const b = composer.compose({ type: 'knowledge', content: { topic: 'b', knowledge: 'y', persistent: true } });
+    b.relate = () => {
+        throw new Error('relate failed');
+    };
+
+    assert.throws(() => engine.fuse([a.id, b.id], 'Harmonic Synthesis'), /relate failed/);
+    await composer.flush();
+
+    assert.equal(composer.getAllLITs().length, 2);
+    assert.equal(engine.fusionPatterns.get('Harmonic Synthesis').usageCount, 0);
+    assert.deepEqual(engine.fusionHistory.map(r => r.kind), ['failure']);
+    assert.deepEqual((await storage.list('fusions')).map(r => r.kind), ['failure']);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, LITContext } = require('../lit-framework.js');
+const { XenialFusionEngine, FusionPattern } = require('../xenial-fusion.js');
+const { MemoryStorageAdapter } = require('../lit-storage.js');
+
+const HOUR = 3600000;
+
+function setup(options = {}) {
+    const composer = new LITComposer({ context: LITContext.seeded(20, 0), ...options });
+    const engine = new XenialFusionEngine(composer);
+    const compose = (type, topic) => composer.compose(type === 'process'
+        ? { type, content: { name: topic, steps: [topic], persistent: true } }
+        : { type, content: { topic, knowledge: `${topic} facts`, persistent: true } });
+    return { composer, engine, clock: composer.context.clock, compose };
+}
+
+// Two Harmonic Synthesis fusions in the first hour, then a failure and a Processual
+// Integration in the second
+function history() {
+    const setupResult = setup();
+    const { engine, clock, compose } = setupResult;
+    const [a, b, c, d] = ['a', 'b', 'c', 'd'].map(topic => compose('knowledge', topic));
+    const p = compose('process', 'p');
+
+    engine.fuse([a.id, b.id], 'Harmonic Synthesis');
+    clock.advance(1000);
+    engine.fuse([c.id, d.id], 'Harmonic Synthesis');
+    clock.advance(HOUR);
+    assert.throws(() => engine.fuse([a.id, 'LIT-missing'], 'Harmonic Synthesis'), /at least 2 LITs/);
+    engine.fuse([p.id, a.id], 'Processual Integration');
+
+    return { ...setupResult, lits: { a, b, c, d, p } };
+}
+
+test('analytics count fusions and failures per pattern', () => {
+    const { engine } = history();
+    const scores = engine.fusionHistory.filter(r => r.pattern === 'Harmonic Synthesis' && r.kind === 'fusion').map(r => r.emergence.score);
+
+    const analytics = engine.getFusionAnalytics();
+
+    assert.deepEqual(analytics.totals, { attempts: 4, fusions: 3, failures: 1, defusions: 0 });
+    const harmonic = analytics.patterns['Harmonic Synthesis'];
+    assert.deepEqual([harmonic.fusions, harmonic.failures, harmonic.successRate], [2, 1, 2 / 3]);
+    assert.equal(harmonic.emergence.count, 2);
+    assert.equal(harmonic.emergence.mean, (scores[0] + scores[1]) / 2);
+    assert.equal(analytics.patterns['Processual Integration'].successRate, 1);
+
+    assert.deepEqual(Object.keys(analytics.synergyByTypes).sort(), ['knowledge+knowledge', 'knowledge+process']);
+    assert.equal(analytics.synergyByTypes['knowledge+knowledge'].count, 2);
+});
+
+test('analytics bucket fusion rates by time and filter by range', () => {
+    const { engine } = history();
+
+    assert.deepEqual(engine.getFusionAnalytics().rates, [
+        { start: 0, fusions: 2, failures: 0 },
+        { start: HOUR, fusions: 1, failures: 1 }
+    ]);
+    assert.deepEqual(engine.getFusionAnalytics({ bucket: 2 * HOUR }).rates, [{ start: 0, fusions: 3, failures: 1 }]);
+    assert.deepEqual(engine.getFusionAnalytics({ since: HOUR }).totals, { attempts: 2, fusions: 1, failures: 1, defusions: 0 });
+    assert.deepEqual(engine.getFusionAnalytics({ until: 500 }).totals, { attempts: 1, fusions: 1, failures: 0, defusions: 0 });
+});
+
+test('distribution reports the spread of scores', () => {
+    const { stdDev, ...spread } = XenialFusionEngine.distribution([0.05, 0.45, 0.5, 1.2], 4);
+
+    // The last bin also takes scores above 1
+    assert.deepEqual(spread, { count: 4, min: 0.05, max: 1.2, mean: 0.55, median: 0.475, histogram: [1, 1, 1, 1] });
+    assert.ok(Math.abs(stdDev - Math.sqrt((0.5 ** 2 + 0.1 ** 2 + 0.05 ** 2 + 0.65 ** 2) / 4)) < 1e-12);
+    assert.deepEqual(XenialFusionEngine.distribution([], 2), {
+        count: 0, min: null, max: null, mean: null, median: null, stdDev: null, histogram: [0, 0]
+    });
+});
+
+test('history exports as NDJSON and CSV', () => {
+    const { engine, lits } = history();
+
+    const ndjson = engine.exportHistory('ndjson').split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(ndjson, JSON.parse(JSON.stringify(engine.fusionHistory)));
+
+    const [header, ...rows] = engine.exportHistory('csv').split('\n');
+    const columns = header.split(',');
+    assert.deepEqual(columns, [
+        'id', 'kind', 'timestamp', 'time', 'pattern', 'threshold', 'sourceIDs', 'sourceTypes', 'averageCoherence',
+        'resultID', 'score', 'metric:novelty', 'metric:resonance', 'metric:stability', 'metric:synergy', 'reason'
+    ]);
+    assert.equal(rows.length, 4);
+
+    const failure = rows[2].split(',');
+    assert.deepEqual([failure[1], failure[4], failure[6], failure[7]], ['failure', 'Harmonic Synthesis', `${lits.a.id};LIT-missing`, 'knowledge;?']);
+    assert.equal(failure[columns.indexOf('reason')], 'Fusion requires at least 2 LITs');
+
+    const fusion = rows[3].split(',');
+    const record = engine.fusionHistory[3];
+    assert.equal(fusion[columns.indexOf('time')], new Date(HOUR + 1000).toISOString());
+    assert.equal(Number(fusion[columns.indexOf('score')]), record.emergence.score);
+    assert.equal(Number(fusion[columns.indexOf('metric:synergy')]), record.emergence.breakdown.synergy);
+    assert.equal(fusion[columns.indexOf('sourceTypes')], 'process;knowledge');
+
+    assert.equal(engine.exportHistory('csv', { until: 500 }).split('\n').length, 2);
+    assert.throws(() => engine.exportHistory('xml'), /Unknown history format "xml"/);
+});
+
+test('CSV cells with commas, quotes or newlines are quoted', () => {
+    const { engine, compose } = setup();
+    const a = compose('knowledge', 'a');
+    const b = compose('knowledge', 'b');
+    engine.registerPattern(new FusionPattern('Picky', '', () => {
+        throw new Error('no "fit", sorry\nretry later');
+    }));
+
+    assert.throws(() => engine.fuse([a.id, b.id], 'Picky'));
+    const csv = engine.exportHistory('csv');
+    assert.ok(csv.endsWith(',"no ""fit"", sorry\nretry later"'));
+});
+
+test('failed commits of staged candidates are recorded', () => {
+    const { engine, compose } = setup();
+    const a = compose('knowledge', 'a');
+    const p = compose('process', 'p');
+
+    const { candidates } = engine.fuse([a.id, p.id], null, { probabilistic: true });
+    engine.commit(candidates[0]);
+    assert.throws(() => engine.commit(candidates[1]), /already committed/);
+
+    const preview = engine.fuse([a.id, p.id], 'Harmonic Synthesis', { dryRun: true });
+    a.transform(content => ({ ...content, knowledge: 'revised' }));
+    assert.throws(() => engine.commit(preview), /Source LITs have changed/);
+
+    assert.deepEqual(engine.fusionHistory.map(r => [r.kind, r.pattern]), [
+        ['fusion', candidates[0].pattern],
+        ['failure', candidates[1].pattern],
+        ['failure', 'Harmonic Synthesis']
+    ]);
+    assert.deepEqual(engine.fusionHistory[1].sourceIDs, [a.id, p.id]);
+    assert.equal(engine.getFusionAnalytics().totals.failures, 2);
+});
+
+test('failures inside a composer transaction are left to the caller', () => {
+    const { composer, engine, compose } = setup();
+    const a = compose('knowledge', 'a');
+    const p = compose('process', 'p');
+    const preview = engine.fuse([a.id, p.id], 'Harmonic Synthesis', { dryRun: true });
+    a.transform(content => ({ ...content, knowledge: 'revised' }));
+
+    assert.throws(() => composer.transaction([a], () => engine.commit(preview)), /Source LITs have changed/);
+    assert.deepEqual(engine.fusionHistory, []);
+});
+
+test('hydrate reloads fusions and failures from storage', async () => {
+    const storage = new MemoryStorageAdapter();
+    const { composer, engine, compose } = setup({ storage });
+    const a = compose('knowledge', 'a');
+    const b = compose('knowledge', 'b');
+    engine.fuse([a.id, b.id], 'Harmonic Synthesis');
+    assert.throws(() => engine.fuse([a.id], 'Harmonic Synthesis'));
+    await composer.flush();
+
+    const reloaded = new XenialFusionEngine(composer);
+    await reloaded.hydrate();
+
+    assert.deepEqual(reloaded.fusionHistory.map(r => r.id), engine.fusionHistory.map(r => r.id));
+    assert.deepEqual(reloaded.getFusionAnalytics().totals, engine.getFusionAnalytics().totals);
+});
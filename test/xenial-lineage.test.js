@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, LITContext } = require('../lit-framework.js');
+const { XenialFusionEngine } = require('../xenial-fusion.js');
+
+// shared = a + b, left = shared + c, right = shared + d, top = left + right
+function diamond() {
+    const composer = new LITComposer({ context: LITContext.seeded(19, 1000) });
+    const engine = new XenialFusionEngine(composer);
+    const ids = {};
+    ['a', 'b', 'c', 'd'].forEach(topic => {
+        ids[topic] = composer.compose({ type: 'knowledge', content: { topic, knowledge: `${topic} facts`, persistent: true } }).id;
+    });
+    const fuse = (name, ...sources) => {
+        ids[name] = engine.fuse(sources.map(source => ids[source]), 'Harmonic Synthesis').fusedLIT.id;
+    };
+
+    fuse('shared', 'a', 'b');
+    fuse('left', 'shared', 'c');
+    fuse('right', 'shared', 'd');
+    fuse('top', 'left', 'right');
+
+    const score = name => engine.fusionHistory.find(r => r.resultID === ids[name]).emergence.score;
+    return { composer, engine, ids, score };
+}
+
+test('ancestry is a tree of the fusions that produced a LIT', () => {
+    const { engine, ids, score } = diamond();
+
+    const tree = engine.getAncestry(ids.top);
+    const [left, right] = tree.sources;
+
+    assert.deepEqual([tree.id, tree.type, tree.pattern, tree.generation], [ids.top, 'synthesis', 'Harmonic Synthesis', 3]);
+    assert.equal(tree.fusionID, `fusion-${ids.top}`);
+    assert.deepEqual([left.id, right.id], [ids.left, ids.right]);
+    assert.deepEqual(left.sources.map(s => s.id), [ids.shared, ids.c]);
+    assert.equal(left.sources[0], right.sources[0]);
+
+    const a = left.sources[0].sources[0];
+    assert.deepEqual([a.id, a.type, a.pattern, a.generation, a.emergence, a.sources], [ids.a, 'knowledge', null, 0, 0, []]);
+
+    // The shared fusion counts once towards the total
+    assert.equal(tree.emergence, score('top'));
+    assert.equal(tree.accumulatedEmergence, score('shared') + score('left') + score('right') + score('top'));
+    assert.equal(left.accumulatedEmergence, score('shared') + score('left'));
+});
+
+test('descendants, generations and path emergence', () => {
+    const { engine, ids, score } = diamond();
+
+    assert.deepEqual(engine.getDescendants(ids.a).map(d => [d.id, d.depth]), [
+        [ids.shared, 1],
+        [ids.left, 2],
+        [ids.right, 2],
+        [ids.top, 3]
+    ]);
+    assert.deepEqual(engine.getDescendants(ids.top), []);
+    assert.deepEqual(['a', 'shared', 'left', 'top'].map(name => engine.getGeneration(ids[name])), [0, 1, 2, 3]);
+
+    const best = score('left') > score('right') ? 'left' : 'right';
+    assert.deepEqual(engine.getPathEmergence(ids.a, ids.top), {
+        path: [ids.a, ids.shared, ids[best], ids.top],
+        emergence: score('shared') + score(best) + score('top')
+    });
+    assert.deepEqual(engine.getPathEmergence(ids.c, ids.left), { path: [ids.c, ids.left], emergence: score('left') });
+    assert.equal(engine.getPathEmergence(ids.c, ids.right), null);
+});
+
+test('defused fusions leave the lineage', () => {
+    const { engine, ids } = diamond();
+
+    engine.defuse(ids.top);
+
+    assert.deepEqual(engine.getDescendants(ids.left), []);
+    assert.equal(engine.getGeneration(ids.left), 2);
+    assert.deepEqual(engine.getAncestry(ids.top).sources, []);
+});
+
+test('the lineage exports as JSON and as a Graphviz digraph', () => {
+    const { engine, ids } = diamond();
+
+    assert.deepEqual(JSON.parse(engine.exportLineage(ids.left)), JSON.parse(JSON.stringify(engine.getAncestry(ids.left))));
+
+    const dot = engine.exportLineage(ids.top, 'dot').split('\n');
+    assert.deepEqual(dot.slice(0, 2), ['digraph lineage {', '    rankdir=BT;']);
+    assert.equal(dot[dot.length - 1], '}');
+    assert.ok(dot.includes(`    "${ids.a}" [label="knowledge\\n${ids.a}"];`));
+    assert.ok(dot.some(line => line.startsWith(`    "${ids.top}" [label="synthesis\\n${ids.top}\\nHarmonic Synthesis (`) && line.endsWith(', shape=box];')));
+
+    // Each LIT and each edge once, even where branches meet
+    assert.equal(dot.filter(line => line.includes('[label=')).length, 8);
+    assert.equal(dot.filter(line => line.includes(`"${ids.shared}" -> `)).length, 2);
+    assert.equal(dot.filter(line => line.includes(' -> ')).length, 8);
+
+    assert.throws(() => engine.exportLineage(ids.top, 'svg'), /Unknown lineage format "svg"/);
+});
+
+test('verifyLineage checks every fusion down to the original LITs', () => {
+    const { engine, ids } = diamond();
+
+    const result = engine.verifyLineage(ids.top);
+    assert.deepEqual([result.valid, result.errors], [true, []]);
+    assert.equal(result.checked.length, 8);
+
+    const record = engine.fusionHistory.find(r => r.resultID === ids.shared);
+    record.pattern = 'Forged';
+    assert.deepEqual(engine.verifyLineage(ids.top).errors, [`${record.id}: record does not match its hash`]);
+});
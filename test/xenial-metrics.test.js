@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LIT, LITComposer, LITContext } = require('../lit-framework.js');
+const { XenialFusionEngine, FusionPattern, EmergenceMetrics, FusionDefinitionError } = require('../xenial-fusion.js');
+
+const context = LITContext.seeded(18, 1000);
+const lit = content => new LIT({ content, context });
+const measure = (name, inputs, fused) => EmergenceMetrics.STRATEGIES[name](inputs, fused);
+
+test('the default weights reproduce the classic emergence score', () => {
+    const metrics = new EmergenceMetrics();
+    Object.assign(metrics, { novelty: 0.4, synergy: 0.2, stability: 0.8, resonance: 1 });
+
+    assert.equal(metrics.emergenceScore, 0.4 * 0.25 + 0.2 * 0.35 + 0.8 * 0.25 + 1 * 0.15);
+    assert.deepEqual(metrics.toJSON().breakdown, { novelty: 0.4, synergy: 0.2, stability: 0.8, resonance: 1 });
+    assert.deepEqual(metrics.toJSON().weights, EmergenceMetrics.DEFAULT_WEIGHTS);
+    assert.equal(new EmergenceMetrics({ weights: {} }).emergenceScore, 0);
+});
+
+test('token novelty gives concatenated text no credit', () => {
+    const inputs = [lit({ text: 'rivers carve valleys' }), lit({ text: 'glaciers carve fjords' })];
+
+    const concatenated = lit({ text: 'rivers carve valleys glaciers carve fjords' });
+    const reworded = lit({ text: 'ice and water shape land' });
+
+    assert.equal(measure('token-novelty', inputs, concatenated), 0);
+    assert.equal(measure('token-novelty', inputs, reworded), 1);
+    assert.ok(measure('novelty', inputs, concatenated) > 0);
+});
+
+test('structural novelty compares key paths and value entropy how evenly inputs contribute', () => {
+    const inputs = [lit({ topic: 't', detail: { depth: 1 } }), lit({ topic: 'u' })];
+
+    assert.equal(measure('structural-novelty', inputs, lit({ topic: 't', detail: { depth: 2 } })), 0);
+    assert.equal(measure('structural-novelty', inputs, lit({ summary: { points: [] } })), 1);
+    assert.equal(measure('structural-novelty', inputs, lit({ topic: 't', summary: 's' })), 3 / 4);
+
+    const even = [1, 1].map(value => Object.assign(lit({}), { calculateValue: () => value }));
+    const skewed = [1, 9].map(value => Object.assign(lit({}), { calculateValue: () => value }));
+    assert.equal(measure('value-entropy', even), 1);
+    assert.equal(measure('value-entropy', skewed), -(0.1 * Math.log(0.1) + 0.9 * Math.log(0.9)) / Math.log(2));
+    assert.equal(measure('value-entropy', even.slice(0, 1)), 0);
+});
+
+test('patterns weight registered metrics and fusions keep the breakdown', () => {
+    const composer = new LITComposer({ context: LITContext.seeded(18, 1000) });
+    const engine = new XenialFusionEngine(composer);
+    engine.registerMetric('brevity', (inputs, fused) => 1 / (1 + JSON.stringify(fused.content).length / 1000));
+    engine.registerPattern(new FusionPattern('Summary', 'Condense knowledge', (lits, sandbox) =>
+        sandbox.litComposer.compose({ type: 'summary', content: { summary: 'short', persistent: true } }),
+    { weights: { 'token-novelty': 2, brevity: 1 } }));
+
+    const ids = ['a', 'b'].map(topic => composer.compose({
+        type: 'knowledge',
+        content: { topic, knowledge: `${topic} facts`, persistent: true }
+    }).id);
+    const { emergence } = engine.fuse(ids, 'Summary');
+    const { breakdown } = emergence;
+
+    assert.deepEqual(Object.keys(breakdown), ['token-novelty', 'brevity']);
+    assert.equal(emergence.emergenceScore, (breakdown['token-novelty'] * 2 + breakdown.brevity) / 3);
+
+    const [record] = engine.fusionHistory;
+    assert.deepEqual(record.emergence.weights, { 'token-novelty': 2, brevity: 1 });
+    assert.deepEqual(record.emergence.breakdown, breakdown);
+    assert.equal(record.emergence.score, emergence.emergenceScore);
+});
+
+test('unknown or invalid metrics are refused', () => {
+    const engine = new XenialFusionEngine(new LITComposer());
+
+    assert.throws(() => engine.registerMetric('broken', 0.5), /Emergence metric "broken" must be a function/);
+    assert.throws(() => engine.registerPattern(new FusionPattern('Odd', '', () => null, { weights: { charm: 1 } })), err => {
+        assert.ok(err instanceof FusionDefinitionError);
+        assert.deepEqual(err.errors, [{ path: 'weights.charm', code: 'unknown', message: 'Unknown emergence metric "charm"' }]);
+        return true;
+    });
+    assert.ok(!engine.fusionPatterns.has('Odd'));
+    assert.throws(() => new EmergenceMetrics({ weights: { charm: 1 } }).calculate([], null), /Unknown emergence metric "charm"/);
+});
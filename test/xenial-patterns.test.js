@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, LITContext } = require('../lit-framework.js');
+const { XenialFusionEngine, DeclarativeFusionPattern, FusionDefinitionError } = require('../xenial-fusion.js');
+
+const ANTHOLOGY = {
+    name: 'Anthology',
+    description: 'Collects stories into one volume',
+    priority: 50,
+    accepts: ['story'],
+    match: { every: ['story'], minCount: 2 },
+    output: {
+        type: 'anthology',
+        content: {
+            title: { $join: { $each: 'content.title' }, with: ' / ' },
+            authors: { $each: ['content.author', 'content.pseudonym'], default: 'anonymous' },
+            pages: { $sum: { $each: 'content.pages' } },
+            averagePages: { $avg: { $each: 'content.pages' } },
+            scaled: { $mul: [{ $sum: { $each: 'content.pages' } }, 2] },
+            label: '{{count}} stories at {{now}}',
+            createdAt: '{{now}}'
+        },
+        metadata: { collected: '{{iso}}' },
+        relations: 'collects',
+        capabilities: ['read_aloud']
+    }
+};
+
+function setup() {
+    const composer = new LITComposer({ context: LITContext.seeded(14, 5000) });
+    composer.capabilities.register('read_aloud', ({ lit }) => `Reading ${lit.content.title}`, 'anthology');
+    const engine = new XenialFusionEngine(composer);
+    const story = (title, extra) => composer.compose({ type: 'story', content: { title, pages: 10, persistent: true, ...extra } });
+    return { composer, engine, story };
+}
+
+test('a pattern loaded from JSON builds its output from the templates', () => {
+    const { engine, story } = setup();
+    const [pattern] = engine.loadPatterns(JSON.stringify(ANTHOLOGY));
+    const a = story('Dusk', { author: 'Ana', pages: 12 });
+    const b = story('Dawn', { pseudonym: 'B.' });
+    const c = story('Noon');
+
+    assert.ok(pattern instanceof DeclarativeFusionPattern);
+    assert.equal(engine.selectFusionPattern([a, b, c]), pattern);
+
+    const { fusedLIT } = engine.fuse([a.id, b.id, c.id]);
+
+    assert.equal(fusedLIT.type, 'anthology');
+    assert.deepEqual(fusedLIT.content, {
+        title: 'Dusk / Dawn / Noon',
+        authors: ['Ana', 'B.', 'anonymous'],
+        pages: 32,
+        averagePages: 32 / 3,
+        scaled: 64,
+        label: '3 stories at 5000',
+        createdAt: 5000
+    });
+    assert.equal(fusedLIT.metadata.collected, new Date(5000).toISOString());
+    assert.equal(fusedLIT.metadata.fusionPattern, 'Anthology');
+    assert.deepEqual(fusedLIT.metadata.sourceIDs, [a.id, b.id, c.id]);
+    assert.ok([a, b, c].every(lit => fusedLIT.relations.some(r => r.targetId === lit.id && r.type === 'collects')));
+    assert.equal(fusedLIT.executeCapability('read_aloud'), 'Reading Dusk / Dawn / Noon');
+});
+
+test('selection follows matchers and priority rather than pattern names', () => {
+    const { composer, engine, story } = setup();
+    const a = story('Dusk');
+    const b = story('Dawn');
+    const note = composer.compose({ type: 'knowledge', content: { topic: 'n', knowledge: 'k', persistent: true } });
+
+    assert.equal(engine.selectFusionPattern([a, b]).name, 'Harmonic Synthesis');
+
+    engine.loadPatterns([
+        { ...ANTHOLOGY, name: 'First', priority: 60 },
+        { ...ANTHOLOGY, name: 'Second', priority: 60 },
+        { ...ANTHOLOGY, name: 'Unmatched', priority: 90, match: undefined }
+    ]);
+
+    // Ties go to the earliest registered; a pattern without a matcher is only used by name
+    assert.equal(engine.selectFusionPattern([a, b]).name, 'First');
+    assert.equal(engine.selectFusionPattern([a, note]).name, 'Harmonic Synthesis');
+    assert.equal(engine.fuse([a.id, b.id], 'Unmatched').pattern, 'Unmatched');
+});
+
+test('invalid definitions are reported together and nothing is registered', () => {
+    const { engine } = setup();
+    const before = [...engine.fusionPatterns.keys()];
+
+    const broken = {
+        name: '',
+        priority: 'high',
+        resonanceThreshold: 3,
+        match: { every: 'story', near: true },
+        weights: { novelty: -1, charm: 1 },
+        output: {
+            type: 'anthology',
+            content: { title: '{{today}}', both: { $sum: [], $avg: [] }, nested: { $each: { $each: 'id' } } },
+            capabilities: ['sing']
+        }
+    };
+
+    let error;
+    try {
+        engine.loadPatterns([ANTHOLOGY, broken]);
+    } catch (err) {
+        error = err;
+    }
+
+    assert.ok(error instanceof FusionDefinitionError);
+    assert.equal(error.name, 'FusionDefinitionError');
+    assert.deepEqual(error.errors.map(e => [e.path, e.code]), [
+        ['[1].name', 'required'],
+        ['[1].priority', 'type'],
+        ['[1].resonanceThreshold', 'range'],
+        ['[1].weights.novelty', 'range'],
+        ['[1].match.every', 'type'],
+        ['[1].match.near', 'unknown'],
+        ['[1].output.content.title', 'placeholder'],
+        ['[1].output.content.both', 'operator'],
+        ['[1].output.content.nested.$each', 'operator'],
+        ['[1].output.capabilities.sing', 'capability'],
+        ['[1].weights.charm', 'unknown']
+    ]);
+    assert.match(error.message, /^Invalid fusion pattern: name is required; /);
+    assert.deepEqual([...engine.fusionPatterns.keys()], before);
+});
+
+test('registerPattern validates plain definitions too', () => {
+    const { engine } = setup();
+
+    assert.throws(() => engine.registerPattern({ name: 'Empty' }), err => {
+        assert.ok(err instanceof FusionDefinitionError);
+        assert.deepEqual(err.errors, [{ path: 'output', code: 'required', message: 'output is required' }]);
+        return true;
+    });
+    assert.deepEqual(DeclarativeFusionPattern.validate(ANTHOLOGY), []);
+    assert.deepEqual(DeclarativeFusionPattern.validate(null), [
+        { path: '', code: 'type', message: 'Fusion pattern definition must be an object' }
+    ]);
+});
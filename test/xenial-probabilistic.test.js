@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, LITContext } = require('../lit-framework.js');
+const { XenialFusionEngine } = require('../xenial-fusion.js');
+
+function setup() {
+    const composer = new LITComposer({ context: LITContext.seeded(12, 1000) });
+    const engine = new XenialFusionEngine(composer);
+    const a = composer.compose({ type: 'knowledge', content: { topic: 'a', knowledge: 'x', persistent: true } });
+    const b = composer.compose({ type: 'process', content: { steps: ['s'], persistent: true } });
+    return { composer, engine, a, b };
+}
+
+test('probabilistic fusion ranks one candidate per eligible pattern and registers none', () => {
+    const { composer, engine, a, b } = setup();
+
+    const { candidates } = engine.fuse([a.id, b.id], null, { probabilistic: true });
+
+    assert.deepEqual(candidates.map(c => c.pattern).sort(), ['Harmonic Synthesis', 'Processual Integration', 'Xenial Transcendence']);
+    assert.deepEqual(candidates.map(c => c.rank), [1, 2, 3]);
+    candidates.slice(1).forEach((candidate, i) => {
+        assert.ok(candidate.emergence.emergenceScore <= candidates[i].emergence.emergenceScore);
+    });
+    const total = candidates.reduce((sum, c) => sum + c.probability, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9);
+
+    assert.deepEqual(composer.getAllLITs(), [a, b]);
+    assert.deepEqual(a.relations, []);
+    assert.deepEqual(engine.fusionHistory, []);
+    candidates.forEach(c => assert.equal(engine.fusionPatterns.get(c.pattern).usageCount, 0));
+});
+
+test('a pattern name limits probabilistic fusion to that pattern', () => {
+    const { engine, a, b } = setup();
+
+    const { candidates } = engine.fuse([a.id, b.id], 'Processual Integration', { probabilistic: true });
+
+    assert.deepEqual(candidates.map(c => [c.pattern, c.rank, c.probability]), [['Processual Integration', 1, 1]]);
+});
+
+test('committing one candidate discards the rest of its batch', () => {
+    const { composer, engine, a, b } = setup();
+    const { candidates } = engine.fuse([a.id, b.id], null, { probabilistic: true });
+    const [chosen, other] = candidates.slice(1);
+
+    const result = engine.commit(chosen);
+
+    assert.equal(result.fusedLIT, chosen.fusedLIT);
+    assert.equal(result.pattern, chosen.pattern);
+    assert.equal(composer.find(chosen.fusedLIT.id), chosen.fusedLIT);
+    assert.ok(a.relations.some(r => r.targetId === chosen.fusedLIT.id && r.type === 'fused-into'));
+    assert.equal(engine.fusionPatterns.get(chosen.pattern).usageCount, 1);
+    assert.deepEqual(engine.fusionHistory.map(r => [r.kind, r.pattern]), [['fusion', chosen.pattern]]);
+
+    assert.throws(() => engine.commit(other), new RegExp(`already committed as "${chosen.fusedLIT.id}"`));
+    assert.equal(composer.find(other.fusedLIT.id), undefined);
+    assert.equal(composer.getAllLITs().length, 3);
+});
+
+test('a candidate is refused once its sources have changed', () => {
+    const { composer, engine, a, b } = setup();
+    const { candidates } = engine.fuse([a.id, b.id], null, { probabilistic: true });
+
+    a.transform(content => ({ ...content, knowledge: 'revised' }));
+
+    assert.throws(() => engine.commit(candidates[0]), /Source LITs have changed since this fusion was staged/);
+    assert.equal(composer.getAllLITs().length, 2);
+    assert.equal(candidates[0].batch.committed, null);
+});
+
+test('dry runs return the selected pattern uncommitted', () => {
+    const { composer, engine, a, b } = setup();
+
+    const preview = engine.fuse([a.id, b.id], null, { dryRun: true });
+
+    assert.equal(preview.dryRun, true);
+    assert.equal(preview.pattern, engine.selectFusionPattern([a, b]).name);
+    assert.equal(composer.find(preview.fusedLIT.id), undefined);
+    assert.deepEqual(engine.fusionHistory, []);
+
+    engine.commit(preview);
+    assert.equal(composer.find(preview.fusedLIT.id), preview.fusedLIT);
+});
+
+test('probabilistic fusion with no eligible pattern fails and is recorded', () => {
+    const { composer, engine, a } = setup();
+    const c = composer.compose({ type: 'knowledge', content: { topic: 'c', knowledge: 'y', persistent: true } });
+    engine.fusionPatterns.forEach(pattern => {
+        pattern.resonanceThreshold = 2;
+    });
+
+    assert.throws(() => engine.fuse([a.id, c.id], null, { probabilistic: true }), /No fusion pattern can fuse these LITs/);
+    assert.deepEqual(engine.fusionHistory.map(r => [r.kind, r.reason]), [['failure', 'No fusion pattern can fuse these LITs']]);
+});
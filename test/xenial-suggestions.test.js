@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, LITContext } = require('../lit-framework.js');
+const { XenialFusionEngine, FusionSuggestionEngine } = require('../xenial-fusion.js');
+
+// Alternating process and knowledge LITs, all above the default minCoherence
+function setup(topics = ['tides', 'waves', 'wind', 'rain', 'snow'], options = {}) {
+    const composer = new LITComposer({ context: LITContext.seeded(17, 1000) });
+    const engine = new XenialFusionEngine(composer, options);
+    const lits = topics.map((topic, i) => composer.compose(i % 2
+        ? { type: 'knowledge', content: { topic, knowledge: `${topic} facts`, persistent: true } }
+        : { type: 'process', content: { name: topic, steps: [topic, 'record'], persistent: true } }));
+    return { composer, engine, lits };
+}
+
+const keys = suggestions => suggestions.map(s => FusionSuggestionEngine.key(s.lits));
+
+test('suggestions include larger groups, ranked by predicted emergence', () => {
+    const { engine, lits } = setup();
+
+    const { total, suggestions } = engine.suggestions.suggest({ limit: 100 });
+
+    assert.equal(total, suggestions.length);
+    assert.deepEqual([...new Set(suggestions.map(s => s.lits.length))].sort(), [2, 3, 4]);
+    suggestions.slice(1).forEach((s, i) => assert.ok(s.potential <= suggestions[i].potential));
+    assert.equal(new Set(keys(suggestions)).size, total);
+
+    const [top] = suggestions;
+    const group = top.lits.map(id => lits.find(lit => lit.id === id));
+    assert.equal(top.pattern, engine.selectFusionPattern(group).name);
+    assert.equal(top.potential, engine.suggestions.predict(group).emergenceScore);
+    assert.deepEqual(top.types, group.map(lit => lit.type));
+});
+
+test('pages are slices of the same ranking', () => {
+    const { engine } = setup();
+    const all = engine.suggestions.suggest({ limit: 100 });
+
+    const page = engine.suggestions.suggest({ offset: 4, limit: 3 });
+
+    assert.deepEqual([page.total, page.offset, page.limit], [all.total, 4, 3]);
+    assert.deepEqual(keys(page.suggestions), keys(all.suggestions.slice(4, 7)));
+    assert.deepEqual(keys(engine.suggestFusions()), keys(all.suggestions.slice(0, 5)));
+});
+
+test('group size, types and coherence limits narrow the search', () => {
+    const { engine, lits } = setup();
+
+    const pairs = engine.suggestions.suggest({ maxGroupSize: 2, limit: 100 });
+    assert.equal(pairs.total, 10);
+    assert.ok(pairs.suggestions.every(s => s.lits.length === 2));
+
+    const triples = engine.suggestions.suggest({ minGroupSize: 3, limit: 100 });
+    assert.ok(triples.suggestions.every(s => s.lits.length >= 3));
+
+    const knowledge = engine.suggestions.suggest({ types: ['knowledge'], limit: 100 });
+    assert.deepEqual(knowledge.suggestions.map(s => s.types), [['knowledge', 'knowledge']]);
+
+    const highest = Math.max(...lits.map(lit => lit.coherenceField.coherenceScore));
+    assert.equal(engine.suggestions.suggest({ minCoherence: highest + 0.01 }).total, 0);
+});
+
+test('the candidate pool keeps the strongest LITs of each type and bucket', t => {
+    const topics = Array.from({ length: 40 }, (_, i) => `topic-${i}`);
+    const { engine, lits } = setup(topics, { suggestions: { perBucket: 2, poolSize: 6 } });
+    const predict = t.mock.method(engine.suggestions, 'predict');
+
+    const pool = engine.suggestions.candidatePool(engine.suggestions.options);
+    const { suggestions } = engine.suggestions.suggest({ limit: 1000 });
+
+    assert.ok(pool.length <= 6);
+    pool.slice(1).forEach((lit, i) => assert.ok(lit.coherenceField.coherenceScore <= pool[i].coherenceField.coherenceScore));
+    const pooled = new Set(pool.map(lit => lit.id));
+    assert.ok(suggestions.every(s => s.lits.every(id => pooled.has(id))));
+
+    // Far fewer groups are scored than the 40 LITs would give pairwise
+    assert.ok(predict.mock.callCount() < (lits.length * (lits.length - 1)) / 2);
+});
+
+test('fused combinations and fused LITs with their sources are left out until defused', () => {
+    const { engine, lits } = setup();
+    const [a, b] = lits;
+    const pair = FusionSuggestionEngine.key([a, b]);
+
+    const { fusedLIT } = engine.fuse([a.id, b.id]);
+    const after = keys(engine.suggestions.suggest({ limit: 1000 }).suggestions);
+    assert.ok(!after.includes(pair));
+    assert.ok(!after.some(key => key.includes(fusedLIT.id) && (key.includes(a.id) || key.includes(b.id))));
+
+    engine.defuse(fusedLIT.id);
+    assert.ok(keys(engine.suggestions.suggest({ limit: 1000 }).suggestions).includes(pair));
+});
+
+test('the index is rebuilt after composer events', () => {
+    const { composer, engine } = setup();
+    engine.suggestions.suggest();
+    assert.ok(engine.suggestions.index);
+
+    const fog = composer.compose({ type: 'knowledge', content: { topic: 'fog', knowledge: 'fog facts', persistent: true } });
+    assert.equal(engine.suggestions.index, null);
+    assert.ok(engine.suggestions.suggest({ limit: 100 }).suggestions.some(s => s.lits.includes(fog.id)));
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LITComposer, LITContext } = require('../lit-framework.js');
+const { XenialFusionEngine, TemporalEmergenceMetrics } = require('../xenial-fusion.js');
+
+// A LIT revised twice, a second apart: revisions at 1000, 2000 and 3000, read at 4000
+function revised() {
+    const composer = new LITComposer({ context: LITContext.seeded(13, 1000) });
+    const clock = composer.context.clock;
+    const engine = new XenialFusionEngine(composer);
+    const lit = composer.compose({ type: 'knowledge', content: { topic: 'tides', knowledge: 'moon' } });
+
+    clock.advance(1000);
+    lit.transform(content => ({ ...content, knowledge: 'moon and sun' }));
+    clock.advance(1000);
+    lit.transform(content => ({ ...content, confidence: 0.9 }));
+    clock.advance(1000);
+    return { composer, clock, engine, lit };
+}
+
+test('a LIT fused with a past revision records both moments and what changed', () => {
+    const { composer, engine, lit } = revised();
+
+    const { fusedLIT, emergence, pattern } = engine.fuseTemporal(lit.id, { revision: 0 });
+    const snapshot = composer.find(fusedLIT.relations[1].targetId);
+
+    assert.equal(pattern, 'Temporal Fusion');
+    assert.deepEqual(snapshot.content, { topic: 'tides', knowledge: 'moon' });
+    assert.deepEqual(snapshot.metadata.temporalSource, { id: lit.id, direction: 'past', revision: 0, at: 1000 });
+    assert.ok(snapshot.relations.some(r => r.targetId === lit.id && r.type === 'forked-from'));
+    assert.deepEqual(fusedLIT.relations.map(r => [r.targetId, r.type]), [[lit.id, 'fused-from'], [snapshot.id, 'fused-from']]);
+
+    assert.equal(fusedLIT.type, 'temporal-synthesis');
+    assert.equal(fusedLIT.content.direction, 'past');
+    assert.deepEqual(fusedLIT.content.moments.map(m => [m.at, m.revision]), [[1000, 0], [4000, 2]]);
+    assert.deepEqual(fusedLIT.content.changes, [
+        { path: 'knowledge', kind: 'changed' },
+        { path: 'confidence', kind: 'added' }
+    ]);
+
+    assert.ok(emergence instanceof TemporalEmergenceMetrics);
+    assert.equal(emergence.span, 3000);
+    assert.equal(emergence.novelty, 2 / 3);
+    assert.equal(emergence.toJSON().coherenceDelta, emergence.coherenceDelta);
+});
+
+test('a past time picks the latest revision made by then', () => {
+    const { composer, engine, lit } = revised();
+
+    const { fusedLIT } = engine.fuseTemporal(lit.id, { at: 2500 });
+
+    assert.deepEqual(fusedLIT.content.moments.map(m => m.revision), [1, 2]);
+    assert.deepEqual(fusedLIT.content.changes, [{ path: 'confidence', kind: 'added' }]);
+    assert.equal(composer.getAllLITs().length, 3);
+});
+
+test('a future time projects the decayed value of the current content', () => {
+    const { composer, clock, engine, lit } = revised();
+    const at = clock.now() + 7 * 86400000;
+    const expectedDelta = lit.calculateValue(at) - lit.calculateValue();
+
+    const { fusedLIT, emergence } = engine.fuseTemporal(lit.id, { at });
+    const snapshot = composer.find(fusedLIT.relations[1].targetId);
+
+    assert.deepEqual(snapshot.content, lit.content);
+    assert.deepEqual(snapshot.metadata.temporalSource, { id: lit.id, direction: 'future', at });
+    assert.deepEqual(snapshot.relations.map(r => [r.targetId, r.type]), [[lit.id, 'projected-from'], [fusedLIT.id, 'fused-into']]);
+
+    assert.equal(fusedLIT.content.direction, 'future');
+    assert.deepEqual(fusedLIT.content.changes, []);
+    assert.equal(emergence.span, 7 * 86400000);
+    assert.ok(emergence.valueDelta < 0);
+    assert.equal(emergence.valueDelta, expectedDelta);
+    assert.equal(emergence.novelty, 0);
+});
+
+test('a failed temporal fusion leaves no snapshot behind and is recorded', () => {
+    const { composer, engine, lit } = revised();
+
+    assert.throws(() => engine.fuseTemporal(lit.id, { at: 500 }), /did not exist at/);
+    assert.throws(() => engine.fuseTemporal(lit.id), /Temporal fusion needs a revision or a time/);
+    assert.throws(() => engine.fuseTemporal(lit.id, { revision: 9 }), /Revision 9 of LIT ".*" not found/);
+
+    // Rejected by the pattern once the snapshot is registered
+    engine.fusionPatterns.get('Temporal Fusion').resonanceThreshold = 2;
+    assert.throws(() => engine.fuseTemporal(lit.id, { revision: 0 }), /insufficient coherence/);
+
+    assert.deepEqual(composer.getAllLITs(), [lit]);
+    assert.deepEqual(engine.fusionHistory.map(r => [r.kind, r.pattern, r.sourceIDs]), [
+        ['failure', 'Temporal Fusion', [lit.id]],
+        ['failure', 'Temporal Fusion', [lit.id]],
+        ['failure', 'Temporal Fusion', [lit.id]],
+        ['failure', 'Temporal Fusion', [lit.id]]
+    ]);
+    assert.deepEqual(lit.relations, []);
+});
+
+test('the temporal pattern only fuses a LIT with a snapshot of itself', () => {
+    const { composer, engine, lit } = revised();
+    const other = composer.compose({ type: 'knowledge', content: { topic: 'waves', knowledge: 'wind' } });
+    const temporal = engine.fusionPatterns.get('Temporal Fusion');
+
+    assert.notEqual(engine.selectFusionPattern([lit, other]), temporal);
+    assert.equal(temporal.rejectionReason([lit, other]), `LIT "${other.id}" is not a temporal snapshot of "${lit.id}"`);
+    assert.throws(() => engine.fuse([lit.id, other.id], 'Temporal Fusion'), /is not a temporal snapshot/);
+});
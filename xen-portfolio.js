@@ -0,0 +1,40 @@
+/**
+ * XEN Portfolio - Phase, projected reward and order of the cross-chain mint portfolio
+ *
+ * Each row is what the page reads from one chain for an address: { chainId, name, term,
+ * maturityTs, gross, balance, error }. term and maturityTs are 0 on a chain without a mint,
+ * gross is getGrossReward's figure or null, and error is set when the chain failed to answer.
+ */
+
+// Browsers load xen-rewards.js first and share its global; Node needs it required
+const Rewards = typeof module !== 'undefined' && module.exports ? require('./xen-rewards.js') : window.XENRewards;
+
+// Rows are re-rendered every second, so phase and reward follow the clock
+function portfolioPhase(row, now) {
+    return Rewards.mintPhase(row, now);
+}
+
+// What claimMintReward() would pay for the row's mint at `now`, after any late-claim penalty
+function projectedReward(row, now) {
+    if (row.gross === null) return null;
+    return Math.floor(row.gross * (100 - Rewards.penalty(now - row.maturityTs)) / 100);
+}
+
+// Nearest maturity first, then chains without a mint, then chains that failed to answer
+function sortPortfolio(rows) {
+    const order = row => row.error ? 2 : row.term === 0 ? 1 : 0;
+    return [...rows].sort((a, b) => order(a) - order(b) || a.maturityTs - b.maturityTs);
+}
+
+const XENPortfolio = {
+    portfolioPhase,
+    projectedReward,
+    sortPortfolio
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XENPortfolio;
+} else {
+    window.XENPortfolio = XENPortfolio;
+}
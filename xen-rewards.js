@@ -0,0 +1,177 @@
+/**
+ * XEN Rewards - Mint and stake reward arithmetic of the XENCrypto contract
+ *
+ * Pure functions, no provider needed. Each mirrors the contract function of the same
+ * purpose, so projections match what claimMintReward() and withdraw() pay out. Times are in
+ * seconds, terms in days and rewards in whole XEN.
+ */
+
+const XEN_CONSTANTS = {
+    SECONDS_IN_DAY: 86400,
+    MAX_TERM_START: 100,            // days, until globalRank passes TERM_AMPLIFIER_THRESHOLD
+    MAX_TERM_END: 1000,
+    TERM_AMPLIFIER: 15,
+    TERM_AMPLIFIER_THRESHOLD: 5000,
+    REWARD_AMPLIFIER_START: 3000,
+    REWARD_AMPLIFIER_END: 1,
+    EAA_PM_START: 100,              // early adopter amplifier, per mille
+    EAA_PM_STEP: 1,
+    EAA_RANK_STEP: 100000,
+    WITHDRAWAL_WINDOW_DAYS: 7,
+    MAX_PENALTY_PCT: 99,
+    DAYS_IN_YEAR: 365,
+    XEN_APY_START: 20,              // percent, one point less every XEN_APY_DAYS_STEP days
+    XEN_APY_DAYS_STEP: 90,
+    XEN_APY_END: 2,
+    MIN_STAKE_TERM: 1,              // days
+    MAX_STAKE_TERM: 1000
+};
+
+// getGrossReward(rankDelta, amplifier, term, eaa): log2(rankDelta) * amplifier * term * eaa / 1000
+function grossReward(rankDelta, amplifier, term, eaa) {
+    if (rankDelta < 1) return 0;
+    return Math.floor(Math.log2(rankDelta) * amplifier * term * eaa / 1000);
+}
+
+// Amplifier a mint claimed at `now` receives: 3000 at genesis, one less per day, never below 1
+function rewardAmplifier(genesisTs, now) {
+    const daysSinceGenesis = Math.floor((now - genesisTs) / XEN_CONSTANTS.SECONDS_IN_DAY);
+    return Math.max(XEN_CONSTANTS.REWARD_AMPLIFIER_START - daysSinceGenesis, XEN_CONSTANTS.REWARD_AMPLIFIER_END);
+}
+
+// Early adopter amplifier rate (per mille) for a mint claimed at this global rank
+function eaaRate(globalRank) {
+    const decrease = Math.floor(XEN_CONSTANTS.EAA_PM_STEP * globalRank / XEN_CONSTANTS.EAA_RANK_STEP);
+    return Math.max(XEN_CONSTANTS.EAA_PM_START - decrease, 0);
+}
+
+// Longest term claimRank accepts at this global rank, in days
+function maxTerm(globalRank) {
+    if (globalRank <= XEN_CONSTANTS.TERM_AMPLIFIER_THRESHOLD) return XEN_CONSTANTS.MAX_TERM_START;
+
+    const delta = Math.floor(Math.log2(globalRank) * XEN_CONSTANTS.TERM_AMPLIFIER);
+    return Math.min(XEN_CONSTANTS.MAX_TERM_START + delta, XEN_CONSTANTS.MAX_TERM_END);
+}
+
+// `term` brought within the 1 day to maxTerm(globalRank) claimRank accepts
+function clampTerm(term, globalRank) {
+    return Math.min(Math.max(term, 1), maxTerm(globalRank));
+}
+
+// Percentage withheld from a reward claimed secsLate after maturity: 0, 1, 3, 8, 17, 35, 72,
+// then 99 from the seventh day on
+function penalty(secsLate) {
+    const daysLate = Math.floor(Math.max(0, secsLate) / XEN_CONSTANTS.SECONDS_IN_DAY);
+    if (daysLate > XEN_CONSTANTS.WITHDRAWAL_WINDOW_DAYS - 1) return XEN_CONSTANTS.MAX_PENALTY_PCT;
+
+    const pct = Math.floor(Math.pow(2, daysLate + 3) / XEN_CONSTANTS.WITHDRAWAL_WINDOW_DAYS) - 1;
+    return Math.min(pct, XEN_CONSTANTS.MAX_PENALTY_PCT);
+}
+
+// Penalty for each day after maturity, through the first day at the maximum
+function penaltySchedule() {
+    return Array.from({ length: XEN_CONSTANTS.WITHDRAWAL_WINDOW_DAYS + 1 }, (_, day) => ({
+        day,
+        penalty: penalty(day * XEN_CONSTANTS.SECONDS_IN_DAY)
+    }));
+}
+
+// What claimMintReward() pays for a mint ({ rank, term, maturityTs, amplifier, eaaRate }, as
+// returned by getUserMint) when claimed at `now` with the given global rank. Before maturity
+// no penalty applies; the figure is what the mint would pay if globalRank stopped growing.
+function mintReward(mint, globalRank, now) {
+    const rankDelta = Math.max(globalRank - mint.rank, 2);
+    const eaa = 1000 + mint.eaaRate;
+    const gross = grossReward(rankDelta, mint.amplifier, mint.term, eaa);
+    const pct = now > mint.maturityTs ? penalty(now - mint.maturityTs) : 0;
+
+    return {
+        rankDelta,
+        eaa,
+        gross,
+        penalty: pct,
+        net: Math.floor(gross * (100 - pct) / 100)
+    };
+}
+
+// Phase of a mint at `now`: 'commitment' before claimRank, 'harvest' once claimMintReward
+// accepts it (strictly after maturityTs), 'cultivation' in between
+function mintPhase(mint, now) {
+    if (mint.term === 0) return 'commitment';
+    return now > mint.maturityTs ? 'harvest' : 'cultivation';
+}
+
+// How claimMintRewardAndShare and claimMintRewardAndStake divide a reward: pct percent, rounded
+// down, goes to the other address or the stake and the rest to the minter
+function splitReward(reward, pct) {
+    const part = Math.floor(reward * pct / 100);
+    return { part, kept: reward - part };
+}
+
+// Share or stake percentage the contract accepts (a whole number from 1 to 100), else null
+function parsePercent(value) {
+    const pct = Number(value);
+    return Number.isInteger(pct) && pct >= 1 && pct <= 100 ? pct : null;
+}
+
+// Stake term in days the contract accepts, else null
+function parseStakeTerm(value) {
+    const term = Number(value);
+    return Number.isInteger(term) && term >= XEN_CONSTANTS.MIN_STAKE_TERM && term <= XEN_CONSTANTS.MAX_STAKE_TERM ? term : null;
+}
+
+// Reward of a new mint claimed now for `term` days, assuming the global rank keeps growing at
+// rankGrowthPerDay until maturity. The mint takes the current global rank as its cRank.
+function projectMint({ globalRank, genesisTs, now, term, rankGrowthPerDay }) {
+    const mint = {
+        rank: globalRank,
+        term,
+        maturityTs: now + term * XEN_CONSTANTS.SECONDS_IN_DAY,
+        amplifier: rewardAmplifier(genesisTs, now),
+        eaaRate: eaaRate(globalRank)
+    };
+    const rankAtMaturity = globalRank + Math.round(rankGrowthPerDay * term);
+
+    return { ...mintReward(mint, rankAtMaturity, mint.maturityTs), mint };
+}
+
+// APY a stake opened at `now` is locked to: 20% at genesis, one point less every 90 days, never below 2%
+function apy(genesisTs, now) {
+    const decrease = Math.floor((now - genesisTs) / (XEN_CONSTANTS.SECONDS_IN_DAY * XEN_CONSTANTS.XEN_APY_DAYS_STEP));
+    return Math.max(XEN_CONSTANTS.XEN_APY_START - decrease, XEN_CONSTANTS.XEN_APY_END);
+}
+
+// Interest withdraw() pays on a stake ({ term, maturityTs, amount, apy }, as returned by
+// getUserStake, amount in XEN). A stake withdrawn before maturity only returns its amount.
+function stakeReward(stake, now) {
+    if (now <= stake.maturityTs) return 0;
+
+    const rate = Math.floor(stake.apy * stake.term * 1000000 / XEN_CONSTANTS.DAYS_IN_YEAR);
+    return stake.amount * rate / 100000000;
+}
+
+const XENRewards = {
+    XEN_CONSTANTS,
+    grossReward,
+    rewardAmplifier,
+    eaaRate,
+    maxTerm,
+    clampTerm,
+    penalty,
+    penaltySchedule,
+    mintReward,
+    mintPhase,
+    splitReward,
+    parsePercent,
+    parseStakeTerm,
+    projectMint,
+    apy,
+    stakeReward
+};
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XENRewards;
+} else {
+    window.XENRewards = XENRewards;
+}
@@ -7,115 +7,652 @@
  * in the Xenial Quantum Economy. Through fusion, coherent patterns achieve higher-order agency.
  */
 
+// Browsers load lit-framework.js first and share its globals; Node needs it required
+const LITFramework = typeof module !== 'undefined' && module.exports ? require('./lit-framework.js') : window;
+
 class FusionPattern {
-    constructor(name, description, fusionLogic) {
+    constructor(name, description, fusionLogic, options = {}) {
         this.name = name;
         this.description = description;
         this.fusionLogic = fusionLogic; // Function that determines how LITs combine
-        this.resonanceThreshold = 0.3; // Minimum coherence needed for fusion
+        this.resonanceThreshold = options.resonanceThreshold ?? 0.3; // Minimum coherence needed for fusion
+        this.accepts = options.accepts || null; // LIT types this pattern can read; null accepts any
+        this.reversible = options.reversible ?? true; // Whether defuse() may decompose its results
+        this.defuseLogic = options.defuse || null; // Carries value earned by a fused LIT back to its sources
+        this.priority = options.priority ?? 0; // Higher priorities are tried first by selectFusionPattern
+        this.match = options.match || null; // Selection matcher; null leaves the pattern to be chosen by name
+        this.weights = options.weights || null; // Emergence metric weights; null uses EmergenceMetrics.DEFAULT_WEIGHTS
         this.usageCount = 0;
     }
 
+    // Whether selectFusionPattern should pick this pattern for these LITs. Matcher fields:
+    // every (all input types listed), includes (each listed type present), minCount,
+    // maxCount and minAverageValue. canFuse still decides whether the fusion can run.
+    matches(lits) {
+        const match = this.match;
+        if (!match || !this.acceptsTypes(lits)) return false;
+
+        const types = lits.map(lit => lit.type);
+        if (match.every && !types.every(type => match.every.includes(type))) return false;
+        if (match.includes && !match.includes.every(type => types.includes(type))) return false;
+        if (match.minCount !== undefined && lits.length < match.minCount) return false;
+        if (match.maxCount !== undefined && lits.length > match.maxCount) return false;
+
+        if (match.minAverageValue !== undefined) {
+            const avgValue = lits.reduce((sum, lit) => sum + lit.calculateValue(), 0) / lits.length;
+            if (avgValue < match.minAverageValue) return false;
+        }
+
+        return true;
+    }
+
     canFuse(lits) {
+        return this.rejectionReason(lits) === null;
+    }
+
+    // Why these LITs cannot be fused by this pattern, or null if they can
+    rejectionReason(lits) {
         // Check if LITs meet minimum criteria for this fusion pattern
-        if (lits.length < 2) return false;
+        if (lits.length < 2) return 'Fusion requires at least 2 LITs';
+
+        if (!this.acceptsTypes(lits)) {
+            const rejected = lits.filter(lit => !this.accepts.includes(lit.type)).map(lit => lit.type);
+            return `${this.name} does not accept LIT types: ${[...new Set(rejected)].join(', ')}`;
+        }
 
         const avgCoherence = lits.reduce((sum, lit) => sum + lit.coherenceField.coherenceScore, 0) / lits.length;
-        return avgCoherence >= this.resonanceThreshold;
+        if (avgCoherence < this.resonanceThreshold) {
+            return 'LITs do not meet fusion criteria (insufficient coherence)';
+        }
+
+        return null;
+    }
+
+    acceptsTypes(lits) {
+        return !this.accepts || lits.every(lit => this.accepts.includes(lit.type));
     }
 
     execute(lits, fusionEngine) {
         this.usageCount++;
         return this.fusionLogic(lits, fusionEngine);
     }
+
+    defuse(fusedLIT, sources, fusionEngine) {
+        return this.defuseLogic ? this.defuseLogic(fusedLIT, sources, fusionEngine) : null;
+    }
+
+    createMetrics(fusionEngine = null) {
+        return new EmergenceMetrics({
+            weights: this.weights || undefined,
+            strategies: fusionEngine ? fusionEngine.metricStrategies : undefined
+        });
+    }
 }
 
+// Emergence is a weighted mix of named metric strategies, each measure(inputLITs, fusedLIT)
+// returning 0-1. weights maps strategy names to weights; the default reproduces the four
+// classic metrics. Every measured value is kept in breakdown.
 class EmergenceMetrics {
-    constructor() {
-        this.novelty = 0;        // How different is the result from inputs?
-        this.synergy = 0;        // How much greater is the whole than the sum?
-        this.stability = 0;      // How stable is the resulting fusion?
-        this.resonance = 0;      // How well do the parts harmonize?
+    constructor(options = {}) {
+        this.weights = options.weights || EmergenceMetrics.DEFAULT_WEIGHTS;
+        this.strategies = options.strategies || new Map(Object.entries(EmergenceMetrics.STRATEGIES));
+        this.breakdown = {};
     }
 
+    // The classic metrics read and write the breakdown
+    get novelty() { return this.breakdown.novelty ?? 0; }        // How different is the result from inputs?
+    set novelty(value) { this.breakdown.novelty = value; }
+    get synergy() { return this.breakdown.synergy ?? 0; }        // How much greater is the whole than the sum?
+    set synergy(value) { this.breakdown.synergy = value; }
+    get stability() { return this.breakdown.stability ?? 0; }    // How stable is the resulting fusion?
+    set stability(value) { this.breakdown.stability = value; }
+    get resonance() { return this.breakdown.resonance ?? 0; }    // How well do the parts harmonize?
+    set resonance(value) { this.breakdown.resonance = value; }
+
     calculate(inputLITs, fusedLIT) {
-        // Novelty: Difference in content structure
+        Object.keys(this.weights).forEach(name => {
+            const measure = this.strategies.get(name);
+            if (!measure) {
+                throw new Error(`Unknown emergence metric "${name}"`);
+            }
+            this.breakdown[name] = measure(inputLITs, fusedLIT);
+        });
+
+        return this;
+    }
+
+    calculateVariance(values) {
+        return EmergenceMetrics.variance(values);
+    }
+
+    get emergenceScore() {
+        const entries = Object.entries(this.weights);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total === 0) return 0;
+
+        return entries.reduce((sum, [name, weight]) => sum + (this.breakdown[name] ?? 0) * weight, 0) / total;
+    }
+
+    toJSON() {
+        return {
+            novelty: this.novelty,
+            synergy: this.synergy,
+            stability: this.stability,
+            resonance: this.resonance,
+            score: this.emergenceScore,
+            weights: { ...this.weights },
+            breakdown: { ...this.breakdown }
+        };
+    }
+
+    static variance(values) {
+        const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+        const squaredDiffs = values.map(val => Math.pow(val - mean, 2));
+        return squaredDiffs.reduce((sum, val) => sum + val, 0) / values.length;
+    }
+
+    // Dotted paths of every object key, not descending into arrays
+    static keyPaths(value, prefix = '') {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) return [];
+        return Object.entries(value).flatMap(([key, child]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            return [path, ...EmergenceMetrics.keyPaths(child, path)];
+        });
+    }
+
+    // Lower-cased words from every string in the content
+    static tokens(value) {
+        if (typeof value === 'string') return value.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        if (value === null || typeof value !== 'object') return [];
+        return Object.values(value).flatMap(child => EmergenceMetrics.tokens(child));
+    }
+}
+
+EmergenceMetrics.DEFAULT_WEIGHTS = { novelty: 0.25, synergy: 0.35, stability: 0.25, resonance: 0.15 };
+
+EmergenceMetrics.STRATEGIES = {
+    // Difference in serialized content size
+    novelty: (inputLITs, fusedLIT) => {
         const inputComplexity = inputLITs.reduce((sum, lit) =>
             sum + JSON.stringify(lit.content).length, 0) / inputLITs.length;
         const outputComplexity = JSON.stringify(fusedLIT.content).length;
-        this.novelty = Math.min(1, Math.abs(outputComplexity - inputComplexity) / inputComplexity);
+        return Math.min(1, Math.abs(outputComplexity - inputComplexity) / inputComplexity);
+    },
 
-        // Synergy: Value amplification
+    // Value amplification
+    synergy: (inputLITs, fusedLIT) => {
         const inputValue = inputLITs.reduce((sum, lit) => sum + lit.calculateValue(), 0) / inputLITs.length;
         const outputValue = fusedLIT.calculateValue();
-        this.synergy = Math.max(0, (outputValue - inputValue) / Math.max(0.1, inputValue));
+        return Math.max(0, (outputValue - inputValue) / Math.max(0.1, inputValue));
+    },
+
+    // Coherence of the fused LIT
+    stability: (inputLITs, fusedLIT) => fusedLIT.coherenceField.coherenceScore,
+
+    // How closely the inputs' coherence agrees
+    resonance: inputLITs => 1 - Math.min(1, EmergenceMetrics.variance(inputLITs.map(lit => lit.coherenceField.coherenceScore))),
 
-        // Stability: Coherence of fusion
-        this.stability = fusedLIT.coherenceField.coherenceScore;
+    // Share of the fused LIT's key paths that none of the inputs had, against all paths seen
+    'structural-novelty': (inputLITs, fusedLIT) => {
+        const inputPaths = new Set(inputLITs.flatMap(lit => EmergenceMetrics.keyPaths(lit.content)));
+        const outputPaths = new Set(EmergenceMetrics.keyPaths(fusedLIT.content));
+        const union = new Set([...inputPaths, ...outputPaths]);
+        const shared = [...outputPaths].filter(path => inputPaths.has(path));
+        return union.size > 0 ? 1 - shared.length / union.size : 0;
+    },
 
-        // Resonance: How well inputs harmonize
-        const coherenceVariance = this.calculateVariance(
-            inputLITs.map(lit => lit.coherenceField.coherenceScore)
+    // Share of the fused LIT's words that do not come from its inputs; concatenation scores 0
+    'token-novelty': (inputLITs, fusedLIT) => {
+        const inputTokens = new Set(inputLITs.flatMap(lit => EmergenceMetrics.tokens(lit.content)));
+        const outputTokens = new Set(EmergenceMetrics.tokens(fusedLIT.content));
+        if (outputTokens.size === 0) return 0;
+        return [...outputTokens].filter(token => !inputTokens.has(token)).length / outputTokens.size;
+    },
+
+    // Normalized entropy of the inputs' values: 1 when they contribute equally
+    'value-entropy': inputLITs => {
+        if (inputLITs.length < 2) return 0;
+        const values = inputLITs.map(lit => Math.max(0, lit.calculateValue()));
+        const total = values.reduce((sum, v) => sum + v, 0);
+        if (total === 0) return 1;
+
+        const entropy = values
+            .map(v => v / total)
+            .filter(p => p > 0)
+            .reduce((sum, p) => sum - p * Math.log(p), 0);
+        return entropy / Math.log(values.length);
+    }
+};
+
+// Fuses a LIT with a snapshot of itself from another point in time: a fork of a past
+// revision, or a projection of its current content to a future time. Input order is
+// [lit, snapshot]; see XenialFusionEngine.fuseTemporal.
+class TemporalFusionPattern extends FusionPattern {
+    constructor(options = {}) {
+        super(
+            'Temporal Fusion',
+            'Fuses a LIT with its own past or projected future state',
+            (lits, engine) => TemporalFusionPattern.fuseMoments(lits, engine),
+            { priority: 100, ...options }
         );
-        this.resonance = 1 - Math.min(1, coherenceVariance);
+    }
+
+    // A LIT and a snapshot of itself are always fused across time
+    matches(lits) {
+        return this.canFuse(lits);
+    }
+
+    rejectionReason(lits) {
+        if (lits.length !== 2) return 'Temporal fusion takes a LIT and one snapshot of it';
+
+        const [lit, snapshot] = lits;
+        const source = snapshot.metadata.temporalSource;
+        if (!source || source.id !== lit.id) {
+            return `LIT "${snapshot.id}" is not a temporal snapshot of "${lit.id}"`;
+        }
+
+        return super.rejectionReason(lits);
+    }
+
+    createMetrics(fusionEngine = null) {
+        return new TemporalEmergenceMetrics({
+            weights: this.weights || undefined,
+            strategies: fusionEngine ? fusionEngine.metricStrategies : undefined
+        });
+    }
+
+    // The two moments being fused, earliest first, measured on the source LIT
+    static moments([lit, snapshot]) {
+        const source = snapshot.metadata.temporalSource;
+        const now = lit.context.now();
+        const moment = (at, coherence, revision) => ({
+            at,
+            revision,
+            value: lit.calculateValue(at),
+            coherence
+        });
+
+        const present = moment(now, lit.coherenceField.coherenceScore, lit.revisions[lit.revisions.length - 1].number);
+        const other = moment(source.at, snapshot.coherenceField.coherenceScore, source.revision ?? null);
+
+        return {
+            direction: source.direction,
+            from: source.direction === 'past' ? other : present,
+            to: source.direction === 'past' ? present : other,
+            changes: source.direction === 'past' ? lit.diff(source.revision) : []
+        };
+    }
+
+    static fuseMoments(lits, engine) {
+        const [lit, snapshot] = lits;
+        const { direction, from, to, changes } = TemporalFusionPattern.moments(lits);
+
+        return engine.litComposer.compose({
+            type: 'temporal-synthesis',
+            content: {
+                fusionType: 'temporal-fusion',
+                subject: lit.id,
+                direction,
+                span: to.at - from.at,
+                moments: [from, to],
+                changes: changes.map(change => ({ path: change.path, kind: change.kind })),
+                id: `temporal-${engine.context.now()}`,
+                persistent: true
+            },
+            metadata: {
+                domain: 'temporal',
+                created: new Date(engine.context.now()).toISOString(),
+                fusionPattern: 'Temporal Fusion',
+                sourceIDs: lits.map(l => l.id),
+                temporalSource: snapshot.metadata.temporalSource
+            },
+            relations: lits.map(l => ({ targetId: l.id, type: 'fused-from' }))
+        });
+    }
+}
+
+// Emergence across time rather than across LITs: novelty is how much the content drifted,
+// stability how well the value held up and resonance how close the coherence stayed
+class TemporalEmergenceMetrics extends EmergenceMetrics {
+    constructor(options = {}) {
+        super(options);
+        this.span = 0;              // Milliseconds between the two moments
+        this.valueDelta = 0;        // Value change from the earlier moment to the later one
+        this.coherenceDelta = 0;    // Coherence change over the same span
+    }
+
+    calculate(inputLITs, fusedLIT) {
+        super.calculate(inputLITs, fusedLIT);
+
+        const [lit] = inputLITs;
+        const { from, to, changes } = TemporalFusionPattern.moments(inputLITs);
+        const keys = Object.keys(lit.content).length;
+
+        this.span = to.at - from.at;
+        this.valueDelta = to.value - from.value;
+        this.coherenceDelta = to.coherence - from.coherence;
+
+        this.novelty = Math.min(1, changes.length / Math.max(1, keys));
+        this.stability = Math.max(0, 1 - Math.abs(this.valueDelta) / Math.max(0.1, from.value));
+        this.resonance = 1 - Math.min(1, Math.abs(this.coherenceDelta));
 
         return this;
     }
 
-    calculateVariance(values) {
-        const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
-        const squaredDiffs = values.map(val => Math.pow(val - mean, 2));
-        return squaredDiffs.reduce((sum, val) => sum + val, 0) / values.length;
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            span: this.span,
+            valueDelta: this.valueDelta,
+            coherenceDelta: this.coherenceDelta
+        };
     }
+}
 
-    get emergenceScore() {
-        return (this.novelty * 0.25 + this.synergy * 0.35 + this.stability * 0.25 + this.resonance * 0.15);
+class FusionDefinitionError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'FusionDefinitionError';
+        this.errors = errors;
     }
 }
 
+// A fusion pattern described as plain data, so patterns can be loaded from JSON:
+//
+//   { name, description, priority, resonanceThreshold, reversible, accepts, match,
+//     output: { type, content, metadata, relations, capabilities } }
+//
+// output.content and output.metadata are templates. Strings may use {{now}}, {{iso}} and
+// {{count}}; objects with one $-key are operators:
+//   { $each: template }         one value per input LIT, with $path reading that LIT
+//   { $each: path, default }    shorthand for { $each: { $path: path, default } }
+//   { $path: path, default }    a path, or the first of several that is set
+//   { $join: template, with }   { $avg: template }   { $sum: template }   { $mul: [templates] }
+// Paths read id, type, content, metadata, value, coherence and agency of a LIT.
+// output.capabilities names handlers in the composer's capability registry.
+class DeclarativeFusionPattern extends FusionPattern {
+    constructor(definition) {
+        super(definition.name, definition.description || '', null, {
+            resonanceThreshold: definition.resonanceThreshold,
+            accepts: definition.accepts,
+            reversible: definition.reversible,
+            priority: definition.priority,
+            match: definition.match,
+            weights: definition.weights
+        });
+        this.definition = definition;
+        this.fusionLogic = (lits, engine) => this.build(lits, engine);
+    }
+
+    build(lits, engine) {
+        const now = engine.context.now();
+        const scope = {
+            now,
+            iso: new Date(now).toISOString(),
+            count: lits.length,
+            lits: lits.map(lit => ({
+                id: lit.id,
+                type: lit.type,
+                content: lit.content,
+                metadata: lit.metadata,
+                value: lit.calculateValue(),
+                coherence: lit.coherenceField.coherenceScore,
+                agency: lit.agentSystem.agencyScore
+            }))
+        };
+        const { output } = this.definition;
+        const registry = engine.litComposer.capabilities;
+
+        return engine.litComposer.compose({
+            type: output.type,
+            content: this.evaluate(output.content, scope),
+            metadata: {
+                ...this.evaluate(output.metadata || {}, scope),
+                fusionPattern: this.name,
+                sourceIDs: lits.map(l => l.id)
+            },
+            capabilities: (output.capabilities || []).map(name => ({ name, handler: registry.resolve(name, output.type) })),
+            ...(output.relations ? { relations: lits.map(lit => ({ targetId: lit.id, type: output.relations })) } : {})
+        });
+    }
+
+    evaluate(template, scope, item = null) {
+        if (typeof template === 'string') return DeclarativeFusionPattern.interpolate(template, scope);
+        if (Array.isArray(template)) return template.map(t => this.evaluate(t, scope, item));
+        if (template === null || typeof template !== 'object') return template;
+
+        if ('$each' in template) {
+            const each = DeclarativeFusionPattern.isPath(template.$each)
+                ? { $path: template.$each, default: template.default }
+                : template.$each;
+            return scope.lits.map(lit => this.evaluate(each, scope, lit));
+        }
+        if ('$path' in template) {
+            const value = [].concat(template.$path)
+                .map(path => DeclarativeFusionPattern.lookup(item || scope, path))
+                .find(v => v !== undefined && v !== null && v !== '');
+            return value === undefined ? template.default : value;
+        }
+        if ('$join' in template) {
+            return this.evaluate(template.$join, scope, item).join(template.with ?? ', ');
+        }
+        if ('$avg' in template) {
+            const values = this.evaluate(template.$avg, scope, item);
+            return values.reduce((sum, v) => sum + v, 0) / Math.max(1, values.length);
+        }
+        if ('$sum' in template) {
+            return this.evaluate(template.$sum, scope, item).reduce((sum, v) => sum + v, 0);
+        }
+        if ('$mul' in template) {
+            return template.$mul.map(t => this.evaluate(t, scope, item)).reduce((product, v) => product * v, 1);
+        }
+
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, this.evaluate(value, scope, item)]));
+    }
+
+    // A template that is a single placeholder keeps the placeholder's type
+    static interpolate(template, scope) {
+        const whole = template.match(/^\{\{(\w+)\}\}$/);
+        if (whole) return scope[whole[1]];
+        return template.replace(/\{\{(\w+)\}\}/g, (_, key) => scope[key]);
+    }
+
+    static lookup(object, path) {
+        return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+    }
+
+    static isPath(value) {
+        return typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string'));
+    }
+
+    // Errors as { path, code, message }; capability bindings are checked when a registry is given
+    static validate(definition, capabilities = null) {
+        const errors = [];
+        const error = (path, code, message) => errors.push({ path, code, message });
+        const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+        const isStringList = value => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+        if (!isObject(definition)) {
+            error('', 'type', 'Fusion pattern definition must be an object');
+            return errors;
+        }
+
+        if (typeof definition.name !== 'string' || definition.name === '') {
+            error('name', 'required', 'name is required');
+        }
+        if (definition.description !== undefined && typeof definition.description !== 'string') {
+            error('description', 'type', 'description must be a string');
+        }
+        if (definition.priority !== undefined && typeof definition.priority !== 'number') {
+            error('priority', 'type', 'priority must be a number');
+        }
+        const threshold = definition.resonanceThreshold;
+        if (threshold !== undefined && (typeof threshold !== 'number' || threshold < 0 || threshold > 1)) {
+            error('resonanceThreshold', 'range', 'resonanceThreshold must be a number between 0 and 1');
+        }
+        if (definition.reversible !== undefined && typeof definition.reversible !== 'boolean') {
+            error('reversible', 'type', 'reversible must be a boolean');
+        }
+        if (definition.accepts !== undefined && !isStringList(definition.accepts)) {
+            error('accepts', 'type', 'accepts must be a list of LIT types');
+        }
+        if (definition.weights !== undefined) {
+            if (!isObject(definition.weights)) {
+                error('weights', 'type', 'weights must map metric names to numbers');
+            } else {
+                Object.entries(definition.weights).forEach(([name, weight]) => {
+                    if (typeof weight !== 'number' || weight < 0) {
+                        error(`weights.${name}`, 'range', `weights.${name} must be a non-negative number`);
+                    }
+                });
+            }
+        }
+
+        if (definition.match !== undefined) {
+            if (!isObject(definition.match)) {
+                error('match', 'type', 'match must be an object');
+            } else {
+                Object.entries(definition.match).forEach(([key, value]) => {
+                    const path = `match.${key}`;
+                    if (key === 'every' || key === 'includes') {
+                        if (!isStringList(value)) error(path, 'type', `${path} must be a list of LIT types`);
+                    } else if (key === 'minCount' || key === 'maxCount') {
+                        if (!Number.isInteger(value) || value < 0) error(path, 'type', `${path} must be a whole number`);
+                    } else if (key === 'minAverageValue') {
+                        if (typeof value !== 'number') error(path, 'type', `${path} must be a number`);
+                    } else {
+                        error(path, 'unknown', `Unknown matcher "${key}"`);
+                    }
+                });
+            }
+        }
+
+        const output = definition.output;
+        if (!isObject(output)) {
+            error('output', 'required', 'output is required');
+            return errors;
+        }
+
+        if (typeof output.type !== 'string' || output.type === '') {
+            error('output.type', 'required', 'output.type is required');
+        }
+        if (!isObject(output.content)) {
+            error('output.content', 'required', 'output.content must be an object');
+        } else {
+            DeclarativeFusionPattern.validateTemplate(output.content, 'output.content', false, error);
+        }
+        if (output.metadata !== undefined) {
+            if (!isObject(output.metadata)) {
+                error('output.metadata', 'type', 'output.metadata must be an object');
+            } else {
+                DeclarativeFusionPattern.validateTemplate(output.metadata, 'output.metadata', false, error);
+            }
+        }
+        if (output.relations !== undefined && typeof output.relations !== 'string') {
+            error('output.relations', 'type', 'output.relations must be a relation type');
+        }
+
+        if (output.capabilities !== undefined) {
+            if (!isStringList(output.capabilities)) {
+                error('output.capabilities', 'type', 'output.capabilities must be a list of capability names');
+            } else if (capabilities) {
+                output.capabilities
+                    .filter(name => !capabilities.has(name, output.type))
+                    .forEach(name => error(`output.capabilities.${name}`, 'capability', `No handler is registered for capability "${name}"`));
+            }
+        }
+
+        return errors;
+    }
+
+    static validateTemplate(template, path, inEach, error) {
+        if (typeof template === 'string') {
+            (template.match(/\{\{(\w+)\}\}/g) || [])
+                .map(placeholder => placeholder.slice(2, -2))
+                .filter(key => !DeclarativeFusionPattern.PLACEHOLDERS.includes(key))
+                .forEach(key => error(path, 'placeholder', `Unknown placeholder "{{${key}}}"`));
+            return;
+        }
+        if (Array.isArray(template)) {
+            template.forEach((t, i) => DeclarativeFusionPattern.validateTemplate(t, `${path}[${i}]`, inEach, error));
+            return;
+        }
+        if (template === null || typeof template !== 'object') return;
+
+        const operators = Object.keys(template).filter(key => key.startsWith('$'));
+        if (operators.length === 0) {
+            Object.entries(template).forEach(([key, value]) => {
+                DeclarativeFusionPattern.validateTemplate(value, `${path}.${key}`, inEach, error);
+            });
+            return;
+        }
+        if (operators.length > 1) {
+            error(path, 'operator', `Only one operator is allowed per object, got ${operators.join(', ')}`);
+            return;
+        }
+
+        const [operator] = operators;
+        const operand = template[operator];
+        const operandPath = `${path}.${operator}`;
+
+        if (operator === '$each') {
+            if (inEach) {
+                error(path, 'operator', '$each cannot be nested');
+            } else if (!DeclarativeFusionPattern.isPath(operand)) {
+                DeclarativeFusionPattern.validateTemplate(operand, operandPath, true, error);
+            }
+        } else if (operator === '$path') {
+            if (!DeclarativeFusionPattern.isPath(operand)) {
+                error(operandPath, 'type', '$path must be a path or a list of paths');
+            }
+        } else if (operator === '$mul') {
+            if (!Array.isArray(operand)) {
+                error(operandPath, 'type', '$mul must be a list');
+            } else {
+                DeclarativeFusionPattern.validateTemplate(operand, operandPath, inEach, error);
+            }
+        } else if (['$join', '$avg', '$sum'].includes(operator)) {
+            DeclarativeFusionPattern.validateTemplate(operand, operandPath, inEach, error);
+            if (operator === '$join' && template.with !== undefined && typeof template.with !== 'string') {
+                error(`${path}.with`, 'type', 'with must be a string');
+            }
+        } else {
+            error(path, 'operator', `Unknown operator "${operator}"`);
+        }
+    }
+}
+
+DeclarativeFusionPattern.PLACEHOLDERS = ['now', 'iso', 'count'];
+
 class XenialFusionEngine {
-    constructor(litComposer) {
+    constructor(litComposer, options = {}) {
         this.litComposer = litComposer;
+        this.context = options.context || litComposer.context;
         this.fusionPatterns = new Map();
         this.fusionHistory = [];
+        this.metricStrategies = new Map(Object.entries(EmergenceMetrics.STRATEGIES));
+        // Caps concurrent fuseAsync calls; separate from the composer's capability limiter so
+        // async fusion logic can run capabilities without deadlocking
+        this.limiter = new LITFramework.ConcurrencyLimiter(options.concurrency ?? Infinity);
+        this.suggestions = new FusionSuggestionEngine(this, options.suggestions);
         this.initializeDefaultPatterns();
     }
 
     initializeDefaultPatterns() {
-        // Pattern 1: Harmonic Synthesis - Knowledge + Knowledge = Higher-order understanding
-        this.registerPattern(new FusionPattern(
-            'Harmonic Synthesis',
-            'Combines related knowledge into coherent understanding',
-            (lits, engine) => {
-                const combinedKnowledge = lits.map(lit => lit.content.knowledge || lit.content.description || '').join(' ⊕ ');
-                const topics = lits.map(lit => lit.content.topic || lit.content.name || 'concept');
+        // Handlers bound by name from the declarative patterns
+        const capabilities = this.litComposer.capabilities;
+        if (!capabilities.has('resonate', 'xenial-transcendence')) {
+            capabilities.register('resonate', context => ({
+                resonance: 'xenial',
+                pattern: 'transcendent',
+                harmonic: context.lit.context.random() * 0.5 + 0.5
+            }), 'xenial-transcendence');
+        }
 
-                return engine.litComposer.compose({
-                    type: 'synthesis',
-                    content: {
-                        fusionType: 'harmonic-synthesis',
-                        sourceTopics: topics,
-                        synthesizedKnowledge: combinedKnowledge,
-                        id: `synthesis-${Date.now()}`,
-                        persistent: true,
-                        value: 1.0,
-                        metadata: {
-                            sourceCount: lits.length,
-                            fusedAt: new Date().toISOString()
-                        }
-                    },
-                    metadata: {
-                        domain: 'emergent-epistemology',
-                        created: new Date().toISOString(),
-                        fusionPattern: 'Harmonic Synthesis',
-                        sourceIDs: lits.map(l => l.id)
-                    },
-                    relations: lits.map(lit => ({ targetId: lit.id, type: 'fused-from' }))
-                });
-            }
-        ));
+        // Harmonic Synthesis and Xenial Transcendence are declarative; see DEFAULT_PATTERNS
+        this.loadPatterns(XenialFusionEngine.DEFAULT_PATTERNS);
 
-        // Pattern 2: Processual Integration - Process + Knowledge = Informed Process
+        // Processual Integration - Process + Knowledge = Informed Process
         this.registerPattern(new FusionPattern(
             'Processual Integration',
             'Integrates knowledge into executable processes',
@@ -140,20 +677,25 @@ class XenialFusionEngine {
                         steps: enrichedSteps,
                         currentStep: 0,
                         knowledgeContext: knowledge.map(k => k.content),
-                        id: `informed-process-${Date.now()}`,
+                        id: `informed-process-${engine.context.now()}`,
                         persistent: true
                     },
                     metadata: {
                         domain: 'agential-procedural',
-                        created: new Date().toISOString(),
+                        created: new Date(engine.context.now()).toISOString(),
                         fusionPattern: 'Processual Integration',
                         sourceIDs: lits.map(l => l.id)
                     }
                 });
+            },
+            {
+                accepts: ['process', 'knowledge', 'informed-process', 'synthesis'],
+                priority: 20,
+                match: { includes: ['process', 'knowledge'] }
             }
         ));
 
-        // Pattern 3: Creative Amplification - Creative + Creative = Novel Emergence
+        // Creative Amplification - Creative + Creative = Novel Emergence
         this.registerPattern(new FusionPattern(
             'Creative Amplification',
             'Combines generative patterns to create novel outputs',
@@ -174,13 +716,13 @@ class XenialFusionEngine {
                             novelty: 0.9,
                             fusion_power: lits.length
                         },
-                        id: `emergent-creative-${Date.now()}`,
+                        id: `emergent-creative-${engine.context.now()}`,
                         persistent: true,
                         value: 0
                     },
                     metadata: {
                         domain: 'emergent-generative',
-                        created: new Date().toISOString(),
+                        created: new Date(engine.context.now()).toISOString(),
                         fusionPattern: 'Creative Amplification',
                         sourceIDs: lits.map(l => l.id)
                     },
@@ -189,10 +731,10 @@ class XenialFusionEngine {
                         handler: function(context) {
                             const lit = context.lit;
                             const emergentOutput = {
-                                id: `emergent-${Date.now()}`,
-                                timestamp: Date.now(),
+                                id: `emergent-${lit.context.now()}`,
+                                timestamp: lit.context.now(),
                                 content: `✧ Emergent ${lit.content.medium} ✧`,
-                                noveltyScore: 0.7 + Math.random() * 0.3,
+                                noveltyScore: 0.7 + lit.context.random() * 0.3,
                                 fusionSignature: lit.content.sourceLITs
                             };
                             lit.content.outputs.push(emergentOutput);
@@ -200,139 +742,373 @@ class XenialFusionEngine {
                         }
                     }]
                 });
-            }
-        ));
-
-        // Pattern 4: Xenial Transcendence - Any high-value LITs = Transcendent Pattern
-        this.registerPattern(new FusionPattern(
-            'Xenial Transcendence',
-            'Fuses high-coherence LITs into transcendent patterns',
-            (lits, engine) => {
-                const avgValue = lits.reduce((sum, lit) => sum + lit.calculateValue(), 0) / lits.length;
-                const totalAgency = lits.reduce((sum, lit) => sum + lit.agentSystem.agencyScore, 0);
+            },
+            {
+                accepts: ['creative', 'emergent-creative', 'generative-music'],
+                priority: 30,
+                match: { every: ['creative', 'emergent-creative'] },
+                // Every source keeps a copy of the emergent outputs
+                defuse: (fusedLIT, sources) => {
+                    const outputs = fusedLIT.content.outputs.map(output => ({ ...output, defusedFrom: fusedLIT.id }));
+                    if (outputs.length === 0) return null;
 
-                return engine.litComposer.compose({
-                    type: 'xenial-transcendence',
-                    content: {
-                        fusionType: 'xenial-transcendence',
-                        name: 'Transcendent Pattern',
-                        description: 'A higher-order coherent structure that transcends its components',
-                        constituents: lits.map(l => ({
-                            id: l.id,
-                            type: l.type,
-                            contribution: l.calculateValue()
-                        })),
-                        transcendenceLevel: avgValue * 1.5,
-                        collectiveAgency: totalAgency,
-                        id: `transcendent-${Date.now()}`,
-                        persistent: true,
-                        value: avgValue * 1.5,
-                        metadata: {
-                            constituentCount: lits.length,
-                            emergence: 'xenial'
-                        }
-                    },
-                    metadata: {
-                        domain: 'transcendent',
-                        created: new Date().toISOString(),
-                        fusionPattern: 'Xenial Transcendence',
-                        sourceIDs: lits.map(l => l.id)
-                    },
-                    capabilities: [{
-                        name: 'resonate',
-                        handler: function(context) {
-                            return {
-                                resonance: 'xenial',
-                                pattern: 'transcendent',
-                                harmonic: Math.random() * 0.5 + 0.5
-                            };
-                        }
-                    }]
-                });
+                    sources.forEach(source => source.transform(
+                        content => ({ ...content, outputs: [...(content.outputs || []), ...outputs] }),
+                        { operation: 'defuse' }
+                    ));
+                    return { outputs: outputs.length };
+                }
             }
         ));
+
+        // Temporal Fusion - LIT + its past or projected future = Change over time
+        this.registerPattern(new TemporalFusionPattern());
     }
 
+    // Accepts a FusionPattern or a declarative definition, which is validated first
     registerPattern(pattern) {
+        if (!(pattern instanceof FusionPattern)) {
+            this.assertValidDefinitions([pattern]);
+            pattern = new DeclarativeFusionPattern(pattern);
+        }
+
+        const unknown = this.unknownMetrics(pattern.weights);
+        if (unknown.length > 0) {
+            throw new FusionDefinitionError(`Invalid fusion pattern: ${unknown.map(e => e.message).join('; ')}`, unknown);
+        }
+
         this.fusionPatterns.set(pattern.name, pattern);
+        return pattern;
     }
 
-    selectFusionPattern(lits) {
-        // Analyze LITs and select the most appropriate fusion pattern
-        const types = lits.map(lit => lit.type);
-        const avgValue = lits.reduce((sum, lit) => sum + lit.calculateValue(), 0) / lits.length;
+    // Adds an emergence metric patterns can weight; measure(inputLITs, fusedLIT) returns 0-1
+    registerMetric(name, measure) {
+        if (typeof measure !== 'function') {
+            throw new Error(`Emergence metric "${name}" must be a function`);
+        }
+        this.metricStrategies.set(name, measure);
+    }
 
-        // High-value LITs -> Xenial Transcendence
-        if (avgValue > 0.7) {
-            return this.fusionPatterns.get('Xenial Transcendence');
+    // Register declarative patterns from a JSON string, a definition or a list of them.
+    // Nothing is registered unless every definition is valid.
+    loadPatterns(source) {
+        const definitions = [].concat(typeof source === 'string' ? JSON.parse(source) : source);
+        this.assertValidDefinitions(definitions);
+        return definitions.map(definition => this.registerPattern(new DeclarativeFusionPattern(definition)));
+    }
+
+    assertValidDefinitions(definitions) {
+        const errors = [];
+        definitions.forEach((definition, i) => {
+            const definitionErrors = DeclarativeFusionPattern.validate(definition, this.litComposer.capabilities);
+            if (definition && typeof definition.weights === 'object') {
+                definitionErrors.push(...this.unknownMetrics(definition.weights));
+            }
+            definitionErrors.forEach(e => {
+                errors.push({ ...e, path: definitions.length > 1 ? `[${i}]${e.path ? '.' + e.path : ''}` : e.path });
+            });
+        });
+
+        if (errors.length > 0) {
+            throw new FusionDefinitionError(`Invalid fusion pattern: ${errors.map(e => e.message).join('; ')}`, errors);
         }
+    }
+
+    unknownMetrics(weights) {
+        return Object.keys(weights || {})
+            .filter(name => !this.metricStrategies.has(name))
+            .map(name => ({ path: `weights.${name}`, code: 'unknown', message: `Unknown emergence metric "${name}"` }));
+    }
 
-        // All creative -> Creative Amplification
-        if (types.every(t => t === 'creative' || t === 'emergent-creative')) {
-            return this.fusionPatterns.get('Creative Amplification');
+    // The highest-priority pattern whose matcher accepts the LITs; ties go to the earliest registered
+    selectFusionPattern(lits) {
+        return Array.from(this.fusionPatterns.values())
+            .filter(pattern => pattern.matches(lits))
+            .sort((a, b) => b.priority - a.priority)[0] || null;
+    }
+
+    // options.probabilistic stages every pattern that can fuse the LITs (or only patternName)
+    // and returns them as ranked candidates; nothing is registered until one is committed.
+    // options.dryRun stages the selected pattern and returns the result uncommitted.
+    fuse(litIDs, patternName = null, options = {}) {
+        return this.attempt(litIDs, patternName, () => this.fuseNow(litIDs, patternName, options));
+    }
+
+    fuseNow(litIDs, patternName, options) {
+        const lits = this.findFusionInputs(litIDs);
+
+        if (options.probabilistic) {
+            const batch = this.createBatch();
+            const candidates = this.eligiblePatterns(lits, patternName).map(pattern => this.stage(lits, pattern, batch));
+            return { candidates: this.rankCandidates(candidates) };
         }
 
-        // Mix of process and knowledge -> Processual Integration
-        if (types.includes('process') && types.includes('knowledge')) {
-            return this.fusionPatterns.get('Processual Integration');
+        const pattern = this.resolveFusionPattern(lits, patternName);
+        const candidate = this.stage(lits, pattern, this.createBatch());
+        return options.dryRun ? { ...candidate, dryRun: true } : this.commitNow(candidate);
+    }
+
+    // Like fuse(), for patterns whose fusion logic returns a promise. The logic receives an
+    // AbortSignal as its third argument. options: { signal, timeout, probabilistic, dryRun }; the
+    // timeout runs from when the fusion leaves the engine's concurrency queue.
+    fuseAsync(litIDs, patternName = null, options = {}) {
+        const { signal = null, timeout = null } = options;
+
+        return this.limiter.runCancellable(async fusionSignal => {
+            const lits = this.findFusionInputs(litIDs);
+
+            if (options.probabilistic) {
+                const batch = this.createBatch();
+                const candidates = [];
+                for (const pattern of this.eligiblePatterns(lits, patternName)) {
+                    candidates.push(await this.stageAsync(lits, pattern, batch, fusionSignal));
+                }
+                return { candidates: this.rankCandidates(candidates) };
+            }
+
+            const pattern = this.resolveFusionPattern(lits, patternName);
+            const candidate = await this.stageAsync(lits, pattern, this.createBatch(), fusionSignal);
+            if (options.dryRun) return { ...candidate, dryRun: true };
+
+            fusionSignal.throwIfAborted();
+            return this.commitNow(candidate);
+        }, { signal, timeout, label: 'Fusion' }).catch(err => {
+            if (!this.litComposer.held) this.recordFailure(litIDs, patternName, err);
+            throw err;
+        });
+    }
+
+    // Failed attempts are kept in the history as 'failure' records. Inside a composer
+    // transaction they are left to the caller, since a rollback discards the transaction's writes.
+    attempt(litIDs, patternName, run) {
+        try {
+            return run();
+        } catch (err) {
+            if (!this.litComposer.held) this.recordFailure(litIDs, patternName, err);
+            throw err;
         }
+    }
+
+    recordFailure(litIDs, patternName, err) {
+        const lits = litIDs.map(id => this.litComposer.find(id)).filter(Boolean);
+        const selected = !patternName && lits.length >= 2 ? this.selectFusionPattern(lits) : null;
+        const timestamp = this.context.now();
+
+        const record = {
+            id: `failure-${timestamp}-${this.fusionHistory.length}`,
+            kind: 'failure',
+            timestamp,
+            pattern: patternName || (selected ? selected.name : null),
+            sourceIDs: litIDs,
+            sourceTypes: litIDs.map(id => {
+                const lit = this.litComposer.find(id);
+                return lit ? lit.type : '?';
+            }),
+            averageCoherence: lits.length > 0
+                ? lits.reduce((sum, lit) => sum + lit.coherenceField.coherenceScore, 0) / lits.length
+                : null,
+            error: err.name,
+            reason: err.message
+        };
+        record.recordHash = this.hashRecord(record);
 
-        // Default to Harmonic Synthesis
-        return this.fusionPatterns.get('Harmonic Synthesis');
+        this.fusionHistory.push(record);
+        this.litComposer.write(storage => storage.save('fusions', record.id, record));
+        return record;
     }
 
-    fuse(litIDs, patternName = null) {
+    findFusionInputs(litIDs) {
         // Get LITs from composer
         const lits = litIDs.map(id => this.litComposer.find(id)).filter(lit => lit !== undefined);
 
         if (lits.length < 2) {
             throw new Error('Fusion requires at least 2 LITs');
         }
+        return lits;
+    }
 
+    resolveFusionPattern(lits, patternName) {
         // Select fusion pattern
         const pattern = patternName
             ? this.fusionPatterns.get(patternName)
             : this.selectFusionPattern(lits);
 
         if (!pattern) {
-            throw new Error(`Fusion pattern "${patternName}" not found`);
+            throw new Error(patternName ? `Fusion pattern "${patternName}" not found` : 'No fusion pattern matches these LITs');
+        }
+
+        const rejection = pattern.rejectionReason(lits);
+        if (rejection) {
+            throw new Error(rejection);
+        }
+        return pattern;
+    }
+
+    eligiblePatterns(lits, patternName = null) {
+        const patterns = patternName
+            ? [this.fusionPatterns.get(patternName)]
+            : Array.from(this.fusionPatterns.values());
+        const eligible = patterns.filter(pattern => pattern && pattern.canFuse(lits));
+
+        if (eligible.length === 0) {
+            throw new Error('No fusion pattern can fuse these LITs');
         }
+        return eligible;
+    }
+
+    // Candidates staged together share a batch; once one is committed the rest are discarded
+    createBatch() {
+        const composer = this.litComposer;
+        const staging = new composer.constructor({
+            context: this.context,
+            addressing: composer.addressing,
+            standardTypes: false
+        });
+        staging.types = composer.types;
+        staging.capabilities = composer.capabilities;
+
+        return { staging, committed: null };
+    }
+
+    rankCandidates(candidates) {
+        candidates.sort((a, b) => b.emergence.emergenceScore - a.emergence.emergenceScore);
+
+        // Likelihood of each outcome, in proportion to its emergence
+        const total = candidates.reduce((sum, candidate) => sum + candidate.emergence.emergenceScore, 0);
+        candidates.forEach((candidate, i) => {
+            candidate.rank = i + 1;
+            candidate.probability = total > 0
+                ? candidate.emergence.emergenceScore / total
+                : 1 / candidates.length;
+        });
+
+        return candidates;
+    }
+
+    // Run a pattern against the batch's staging composer, so the fused LIT is built
+    // and measured without touching the registry
+    stage(lits, pattern, batch) {
+        const staged = this.beginStage(lits, batch);
+        const fusedLIT = pattern.fusionLogic(lits, staged.sandbox);
 
-        if (!pattern.canFuse(lits)) {
-            throw new Error('LITs do not meet fusion criteria (insufficient coherence)');
+        if (fusedLIT && typeof fusedLIT.then === 'function') {
+            throw new Error(`${pattern.name} is asynchronous; use fuseAsync`);
         }
+        return this.finishStage(staged, lits, pattern, fusedLIT);
+    }
 
-        // Execute fusion
-        const fusedLIT = pattern.execute(lits, this);
+    async stageAsync(lits, pattern, batch, signal) {
+        const staged = this.beginStage(lits, batch);
+        const fusedLIT = await pattern.fusionLogic(lits, staged.sandbox, signal);
+        return this.finishStage(staged, lits, pattern, fusedLIT);
+    }
+
+    beginStage(lits, batch) {
+        return {
+            batch,
+            sandbox: Object.assign(Object.create(this), { litComposer: batch.staging }),
+            // Content hashes of the inputs as they are fused, so the lineage can be verified later,
+            // and snapshots so defuse() can re-create inputs that are gone by then. The snapshots
+            // are copies: toJSON() shares the LIT's live content and relations, which would
+            // otherwise change under the fusion record's hash when the source is fused again.
+            sourceHashes: Object.fromEntries(lits.map(lit => [lit.id, lit.contentHash()])),
+            sourceSnapshots: Object.fromEntries(lits.map(lit => [lit.id, JSON.parse(JSON.stringify(lit.toJSON()))]))
+        };
+    }
+
+    finishStage(staged, lits, pattern, fusedLIT) {
+        fusedLIT.metadata.sourceHashes = staged.sourceHashes;
 
         // Calculate emergence metrics
-        const emergence = new EmergenceMetrics();
+        const emergence = pattern.createMetrics(this);
         emergence.calculate(lits, fusedLIT);
 
+        return {
+            fusedLIT,
+            emergence,
+            pattern: pattern.name,
+            sourceIDs: lits.map(lit => lit.id),
+            sourceHashes: staged.sourceHashes,
+            sourceSnapshots: staged.sourceSnapshots,
+            batch: staged.batch
+        };
+    }
+
+    // Register a staged fused LIT and relate it to its sources, as one composer transaction.
+    // If any step throws, the registry, relations, pattern usage and history are rolled back
+    // and the attempt is recorded as a failure.
+    commit(candidate) {
+        return this.attempt(candidate.sourceIDs, candidate.pattern, () => this.commitNow(candidate));
+    }
+
+    commitNow(candidate) {
+        const { fusedLIT, batch } = candidate;
+
+        if (batch.committed) {
+            throw new Error(`A candidate from this fusion was already committed as "${batch.committed}"`);
+        }
+
+        const lits = candidate.sourceIDs.map(id => this.litComposer.find(id));
+        if (lits.some(lit => !lit || lit.contentHash() !== candidate.sourceHashes[lit.id])) {
+            throw new Error('Source LITs have changed since this fusion was staged');
+        }
+
+        const pattern = this.fusionPatterns.get(candidate.pattern);
+        const usageCount = pattern.usageCount;
+        const historyLength = this.fusionHistory.length;
+
+        try {
+            return this.litComposer.transaction([...lits, fusedLIT], () => this.apply(candidate, lits, pattern));
+        } catch (err) {
+            pattern.usageCount = usageCount;
+            this.fusionHistory.length = historyLength;
+            batch.committed = null;
+            throw err;
+        }
+    }
+
+    apply(candidate, lits, pattern) {
+        const { fusedLIT, emergence, batch } = candidate;
+
+        pattern.usageCount++;
+        batch.committed = fusedLIT.id;
+        batch.staging.unregister(fusedLIT);
+        this.litComposer.adopt(fusedLIT);
+
         // Boost the fused LIT based on emergence
         fusedLIT.interact('fusion', { impact: emergence.emergenceScore });
 
         // Create bidirectional relations
         lits.forEach(sourceLIT => {
-            sourceLIT.relate(fusedLIT, 'fused-into');
+            this.litComposer.relate(sourceLIT, fusedLIT, 'fused-into');
         });
 
         // Record fusion history
         const fusionRecord = {
-            timestamp: Date.now(),
+            id: `fusion-${fusedLIT.id}`,
+            kind: 'fusion',
+            timestamp: this.context.now(),
             pattern: pattern.name,
-            sourceIDs: litIDs,
+            sourceIDs: candidate.sourceIDs,
             resultID: fusedLIT.id,
-            emergence: {
-                novelty: emergence.novelty,
-                synergy: emergence.synergy,
-                stability: emergence.stability,
-                resonance: emergence.resonance,
-                score: emergence.emergenceScore
-            }
+            sourceHashes: candidate.sourceHashes,
+            sourceSnapshots: candidate.sourceSnapshots,
+            resultHash: fusedLIT.revisions[0].contentHash,
+            emergence: emergence.toJSON()
         };
+        fusionRecord.recordHash = this.hashRecord(fusionRecord);
 
         this.fusionHistory.push(fusionRecord);
+        this.litComposer.write(storage => storage.save('fusions', fusionRecord.id, fusionRecord));
+
+        this.litComposer.emit('fused', {
+            timestamp: fusionRecord.timestamp,
+            lit: fusedLIT,
+            sources: lits,
+            pattern: pattern.name,
+            emergence,
+            record: fusionRecord
+        });
 
         return {
             fusedLIT,
@@ -341,54 +1117,778 @@ class XenialFusionEngine {
         };
     }
 
+    // Fuse a LIT with itself at another point in time. options.revision picks a past
+    // revision; options.at picks a time, which projects forward when it is in the future.
+    fuseTemporal(litId, options = {}) {
+        const lit = this.litComposer.resolve(litId);
+
+        // The snapshot is only kept if the fusion succeeds
+        return this.attempt([lit.id], 'Temporal Fusion', () => this.litComposer.transaction([lit], () => {
+            const snapshot = this.createTemporalSnapshot(lit, options);
+            return this.fuse([lit.id, snapshot.id], 'Temporal Fusion');
+        }));
+    }
+
+    // Register the LIT as it was at a past revision (a fork) or as it is projected to be
+    // at a future time, marked with metadata.temporalSource
+    createTemporalSnapshot(lit, options = {}) {
+        const now = this.context.now();
+        let revision = options.revision;
+
+        if (revision === undefined) {
+            if (options.at === undefined) {
+                throw new Error('Temporal fusion needs a revision or a time');
+            }
+            if (options.at <= now) {
+                const past = lit.revisions.filter(r => r.timestamp <= options.at);
+                if (past.length === 0) {
+                    throw new Error(`LIT "${lit.id}" did not exist at ${new Date(options.at).toISOString()}`);
+                }
+                revision = past[past.length - 1].number;
+            }
+        }
+
+        if (revision !== undefined) {
+            const config = lit.forkConfig(revision);
+            config.metadata.temporalSource = {
+                id: lit.id,
+                direction: 'past',
+                revision,
+                at: lit.revision(revision).timestamp
+            };
+            return this.litComposer.compose(config);
+        }
+
+        // Projected state: today's content, valued with the decay expected by then
+        const head = lit.revisions[lit.revisions.length - 1].number;
+        const config = lit.forkConfig(head);
+        delete config.metadata.forkedFrom;
+        config.metadata.temporalSource = { id: lit.id, direction: 'future', at: options.at };
+        config.relations = [{ targetId: lit.id, type: 'projected-from', establishedAt: now }];
+        return this.litComposer.compose(config);
+    }
+
+    // Decompose a fused LIT back into its sources. Sources that no longer exist are
+    // unarchived or re-created from the snapshots taken at fusion time, the pattern
+    // carries back what the fused LIT earned, and the fused LIT is removed.
+    defuse(litId) {
+        const composer = this.litComposer;
+        const fusedLIT = composer.resolve(litId);
+        const record = this.findFusionRecord(fusedLIT.id);
+        const sourceIDs = record ? record.sourceIDs : fusedLIT.metadata.sourceIDs;
+        const patternName = record ? record.pattern : fusedLIT.metadata.fusionPattern;
+
+        if (!sourceIDs) {
+            throw new Error(`LIT "${fusedLIT.id}" was not produced by a fusion`);
+        }
+
+        const pattern = this.fusionPatterns.get(patternName);
+        if (pattern && !pattern.reversible) {
+            throw new Error(`${pattern.name} fusions cannot be reversed`);
+        }
+
+        // A fused LIT that was fused again has to be defused from the top down
+        const downstream = fusedLIT.relations.find(r => r.type === 'fused-into' && composer.find(r.targetId));
+        if (downstream) {
+            throw new Error(`LIT "${fusedLIT.id}" was fused into "${downstream.targetId}"; defuse that first`);
+        }
+
+        const snapshots = (record && record.sourceSnapshots) || {};
+        const missing = sourceIDs.find(id => !composer.find(id) && !composer.archived.has(id) && !snapshots[id]);
+        if (missing) {
+            throw new Error(`Source LIT "${missing}" no longer exists and has no snapshot to re-create it from`);
+        }
+
+        // Defused as one composer transaction over everything it changes: the fused LIT, its
+        // sources and the LITs relating to it. If any step throws, all of them are put back.
+        const touched = new Set([
+            fusedLIT,
+            ...sourceIDs.map(id => composer.find(id) || composer.archived.get(id)).filter(Boolean),
+            ...composer.graph.adjacent(fusedLIT.id, { direction: 'in' }).map(({ id }) => composer.find(id)).filter(Boolean)
+        ]);
+        const historyLength = this.fusionHistory.length;
+
+        try {
+            return composer.transaction([...touched], () => this.decompose(fusedLIT, record, sourceIDs, patternName));
+        } catch (err) {
+            this.fusionHistory.length = historyLength;
+            throw err;
+        }
+    }
+
+    // The steps of defuse(), run inside its transaction
+    decompose(fusedLIT, record, sourceIDs, patternName) {
+        const composer = this.litComposer;
+        const pattern = this.fusionPatterns.get(patternName);
+        const snapshots = (record && record.sourceSnapshots) || {};
+
+        const recreatedIDs = [];
+        const sources = sourceIDs.map(id => {
+            if (composer.find(id)) return composer.find(id);
+
+            recreatedIDs.push(id);
+            if (composer.archived.has(id)) return composer.unarchive(id);
+
+            const lit = composer.restore(snapshots[id]);
+            composer.persist(lit);
+            return lit;
+        });
+
+        const carriedBack = pattern ? pattern.defuse(fusedLIT, sources, this) : null;
+
+        // Share the fused LIT's value between its sources
+        const value = fusedLIT.calculateValue();
+        sources.forEach(source => source.interact('defusion', { impact: value / sources.length, from: fusedLIT.id }));
+
+        // Remove every relation that still points at the fused LIT, then the LIT itself
+        composer.graph.adjacent(fusedLIT.id, { direction: 'in' })
+            .filter(({ id }) => composer.find(id))
+            .forEach(({ id, edge }) => composer.unrelate(id, fusedLIT.id, edge.type));
+        composer.remove(fusedLIT);
+
+        const defusionRecord = {
+            id: `defusion-${fusedLIT.id}`,
+            kind: 'defusion',
+            timestamp: this.context.now(),
+            pattern: patternName,
+            fusionID: record ? record.id : null,
+            litID: fusedLIT.id,
+            sourceIDs,
+            recreatedIDs,
+            value,
+            carriedBack
+        };
+        defusionRecord.recordHash = this.hashRecord(defusionRecord);
+
+        this.fusionHistory.push(defusionRecord);
+        composer.write(storage => storage.save('fusions', defusionRecord.id, defusionRecord));
+
+        composer.emit('defused', {
+            timestamp: defusionRecord.timestamp,
+            lit: fusedLIT,
+            sources,
+            pattern: patternName,
+            record: defusionRecord
+        });
+
+        return { sources, record: defusionRecord };
+    }
+
+    // The fusion that produced a LIT, unless it has since been defused
+    findFusionRecord(litId) {
+        const record = this.fusionHistory.find(r => r.kind === 'fusion' && r.resultID === litId);
+        if (!record) return null;
+
+        const defused = this.fusionHistory.some(r => r.kind === 'defusion' && r.fusionID === record.id);
+        return defused ? null : record;
+    }
+
+    // Hash of a fusion record, excluding the stored hash itself
+    hashRecord(record) {
+        const { recordHash, ...fields } = record;
+        return this.litComposer.hashContent(fields);
+    }
+
+    // Verify a LIT and every fusion that produced it, back to LITs that were never fused
+    verifyLineage(litId) {
+        const errors = [];
+        const checked = [];
+        const findLIT = id => this.litComposer.find(id) || this.litComposer.archived.get(id);
+
+        const visit = id => {
+            if (checked.includes(id)) return;
+            checked.push(id);
+
+            const lit = findLIT(id);
+            if (!lit) {
+                errors.push(`${id}: LIT not found`);
+                return;
+            }
+            lit.verify().errors.forEach(error => errors.push(`${id}: ${error}`));
+
+            const record = this.findFusionRecord(id);
+            if (!record) return;
+
+            if (record.recordHash !== this.hashRecord(record)) {
+                errors.push(`${record.id}: record does not match its hash`);
+            }
+            if (lit.revisions[0].contentHash !== record.resultHash) {
+                errors.push(`${id}: content does not match the fusion that produced it`);
+            }
+
+            record.sourceIDs.forEach(sourceId => {
+                const expected = record.sourceHashes && record.sourceHashes[sourceId];
+                const source = findLIT(sourceId);
+
+                if (!expected) {
+                    errors.push(`${record.id}: no content hash recorded for ${sourceId}`);
+                } else if (source && !source.revisions.some(revision => revision.contentHash === expected)) {
+                    errors.push(`${sourceId}: no revision matches the content it was fused with`);
+                }
+
+                visit(sourceId);
+            });
+        };
+
+        visit(litId);
+        return { valid: errors.length === 0, errors, checked };
+    }
+
+    // Fusions that still stand, indexed by the LIT they produced and by each of their sources
+    lineageIndex() {
+        const defused = new Set(this.fusionHistory.filter(r => r.kind === 'defusion').map(r => r.fusionID));
+        const byResult = new Map();
+        const bySource = new Map();
+
+        this.fusionHistory
+            .filter(r => r.kind === 'fusion' && !defused.has(r.id))
+            .forEach(record => {
+                byResult.set(record.resultID, record);
+                record.sourceIDs.forEach(id => {
+                    if (!bySource.has(id)) bySource.set(id, []);
+                    bySource.get(id).push(record);
+                });
+            });
+
+        return { byResult, bySource };
+    }
+
+    // The tree of fusions that produced a LIT. Each node is
+    // { id, type, pattern, fusionID, generation, emergence, accumulatedEmergence, sources },
+    // where accumulatedEmergence sums the emergence of every fusion in the subtree once.
+    // A LIT reached along two branches appears under both.
+    getAncestry(litId) {
+        const { byResult } = this.lineageIndex();
+        const nodes = new Map();
+        const fusionsUnder = new Map(); // LIT id -> Map of fusion id -> emergence score
+
+        const typeOf = id => {
+            const lit = this.litComposer.find(id) || this.litComposer.archived.get(id);
+            if (lit) return lit.type;
+
+            const snapshot = this.fusionHistory.map(r => r.sourceSnapshots && r.sourceSnapshots[id]).find(Boolean);
+            return snapshot ? snapshot.type : null;
+        };
+
+        const visit = id => {
+            if (nodes.has(id)) return nodes.get(id);
+
+            const record = byResult.get(id);
+            const sources = record ? record.sourceIDs.map(visit) : [];
+            const emergence = record ? record.emergence.score : 0;
+            const fusions = new Map(sources.flatMap(s => Array.from(fusionsUnder.get(s.id))));
+            if (record) fusions.set(record.id, emergence);
+            fusionsUnder.set(id, fusions);
+
+            const node = {
+                id,
+                type: typeOf(id),
+                pattern: record ? record.pattern : null,
+                fusionID: record ? record.id : null,
+                generation: sources.length > 0 ? 1 + Math.max(...sources.map(s => s.generation)) : 0,
+                emergence,
+                accumulatedEmergence: Array.from(fusions.values()).reduce((sum, score) => sum + score, 0),
+                sources
+            };
+
+            nodes.set(id, node);
+            return node;
+        };
+
+        return visit(litId);
+    }
+
+    // Every LIT fused from this one, directly or through later fusions, nearest first
+    getDescendants(litId) {
+        const { bySource } = this.lineageIndex();
+        const descendants = [];
+        const seen = new Set([litId]);
+        let frontier = [litId];
+
+        for (let depth = 1; frontier.length > 0; depth++) {
+            const next = [];
+            frontier.forEach(id => (bySource.get(id) || []).forEach(record => {
+                if (seen.has(record.resultID)) return;
+                seen.add(record.resultID);
+                next.push(record.resultID);
+                descendants.push({ id: record.resultID, pattern: record.pattern, fusionID: record.id, depth });
+            }));
+            frontier = next;
+        }
+
+        return descendants;
+    }
+
+    // 0 for a LIT that was never fused, otherwise one more than its deepest source
+    getGeneration(litId) {
+        return this.getAncestry(litId).generation;
+    }
+
+    // The emergence gained on the way from an ancestor to a descendant: the fusions along the
+    // path that gained the most, or null if the descendant was not fused from the ancestor
+    getPathEmergence(ancestorId, descendantId) {
+        const best = node => {
+            if (node.id === ancestorId) return { path: [node.id], emergence: 0 };
+
+            const paths = node.sources.map(best).filter(Boolean);
+            if (paths.length === 0) return null;
+
+            const top = paths.reduce((a, b) => (b.emergence > a.emergence ? b : a));
+            return { path: [...top.path, node.id], emergence: top.emergence + node.emergence };
+        };
+
+        return best(this.getAncestry(descendantId));
+    }
+
+    // The ancestry tree as 'json' or as a Graphviz 'dot' digraph, sources pointing at results
+    exportLineage(litId, format = 'json') {
+        const tree = this.getAncestry(litId);
+
+        if (format === 'json') {
+            return JSON.stringify(tree, null, 2);
+        }
+        if (format !== 'dot') {
+            throw new Error(`Unknown lineage format "${format}"`);
+        }
+
+        const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+        const nodes = new Map();
+        const edges = new Set();
+
+        const visit = node => {
+            if (nodes.has(node.id)) return;
+            const label = node.fusionID
+                ? `${node.type}\n${node.id}\n${node.pattern} (${node.emergence.toFixed(2)})`
+                : `${node.type}\n${node.id}`;
+            nodes.set(node.id, `    ${quote(node.id)} [label=${quote(label)}${node.fusionID ? ', shape=box' : ''}];`);
+
+            node.sources.forEach(source => {
+                edges.add(`    ${quote(source.id)} -> ${quote(node.id)};`);
+                visit(source);
+            });
+        };
+        visit(tree);
+
+        return ['digraph lineage {', '    rankdir=BT;', ...nodes.values(), ...edges, '}'].join('\n');
+    }
+
     getFusionHistory() {
         return this.fusionHistory;
     }
 
+    // Summary of the history. options: { since, until, bucket (ms, default one hour), bins }
+    getFusionAnalytics(options = {}) {
+        const { since = -Infinity, until = Infinity, bucket = 3600000, bins = 10 } = options;
+        const records = this.fusionHistory.filter(r => r.timestamp >= since && r.timestamp <= until);
+        const fusions = records.filter(r => r.kind === 'fusion');
+        const failures = records.filter(r => r.kind === 'failure');
+
+        const patterns = {};
+        const patternStats = name => {
+            patterns[name] = patterns[name] || { fusions: 0, failures: 0, successRate: 0, scores: [] };
+            return patterns[name];
+        };
+        fusions.forEach(r => {
+            const stats = patternStats(r.pattern);
+            stats.fusions++;
+            stats.scores.push(r.emergence.score);
+        });
+        failures.forEach(r => patternStats(r.pattern || '(none)').failures++);
+        Object.values(patterns).forEach(stats => {
+            stats.successRate = stats.fusions / (stats.fusions + stats.failures);
+            stats.emergence = XenialFusionEngine.distribution(stats.scores, bins);
+            delete stats.scores;
+        });
+
+        const synergyByTypes = {};
+        fusions.forEach(r => {
+            const key = XenialFusionEngine.recordTypes(r).sort().join('+');
+            const entry = synergyByTypes[key] = synergyByTypes[key] || { count: 0, meanSynergy: 0 };
+            entry.meanSynergy += (r.emergence.synergy - entry.meanSynergy) / ++entry.count;
+        });
+
+        const rates = new Map();
+        records.filter(r => r.kind !== 'defusion').forEach(r => {
+            const start = Math.floor(r.timestamp / bucket) * bucket;
+            const entry = rates.get(start) || { start, fusions: 0, failures: 0 };
+            entry[r.kind === 'fusion' ? 'fusions' : 'failures']++;
+            rates.set(start, entry);
+        });
+
+        return {
+            totals: {
+                attempts: fusions.length + failures.length,
+                fusions: fusions.length,
+                failures: failures.length,
+                defusions: records.filter(r => r.kind === 'defusion').length
+            },
+            patterns,
+            synergyByTypes,
+            rates: Array.from(rates.values()).sort((a, b) => a.start - b.start)
+        };
+    }
+
+    // The history as 'ndjson' (one full record per line) or 'csv' (one flat row per record,
+    // with a metric:<name> column for every emergence metric that appears)
+    exportHistory(format = 'ndjson', options = {}) {
+        const { since = -Infinity, until = Infinity } = options;
+        const records = this.fusionHistory.filter(r => r.timestamp >= since && r.timestamp <= until);
+
+        if (format === 'ndjson') {
+            return records.map(record => JSON.stringify(record)).join('\n');
+        }
+        if (format !== 'csv') {
+            throw new Error(`Unknown history format "${format}"`);
+        }
+
+        const metrics = Array.from(new Set(records.flatMap(r => Object.keys((r.emergence && r.emergence.breakdown) || {})))).sort();
+        const columns = ['id', 'kind', 'timestamp', 'time', 'pattern', 'threshold', 'sourceIDs', 'sourceTypes',
+            'averageCoherence', 'resultID', 'score', ...metrics.map(name => `metric:${name}`), 'reason'];
+
+        const rows = records.map(r => {
+            const pattern = this.fusionPatterns.get(r.pattern);
+            const coherences = r.kind === 'fusion'
+                ? r.sourceIDs.map(id => r.sourceSnapshots && r.sourceSnapshots[id] && r.sourceSnapshots[id].coherence)
+                : [];
+            const averageCoherence = r.kind === 'failure'
+                ? r.averageCoherence
+                : coherences.length > 0 && coherences.every(c => typeof c === 'number')
+                    ? coherences.reduce((sum, c) => sum + c, 0) / coherences.length
+                    : null;
+            const breakdown = (r.emergence && r.emergence.breakdown) || {};
+
+            return [
+                r.id,
+                r.kind,
+                r.timestamp,
+                new Date(r.timestamp).toISOString(),
+                r.pattern,
+                pattern ? pattern.resonanceThreshold : null,
+                (r.sourceIDs || []).join(';'),
+                XenialFusionEngine.recordTypes(r).join(';'),
+                averageCoherence,
+                r.resultID || r.litID,
+                r.emergence ? r.emergence.score : null,
+                ...metrics.map(name => breakdown[name]),
+                r.reason
+            ];
+        });
+
+        const cell = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns, ...rows].map(row => row.map(cell).join(',')).join('\n');
+    }
+
+    // Types of a record's inputs, in source order; unknown types are '?'
+    static recordTypes(record) {
+        if (record.sourceTypes) return [...record.sourceTypes];
+        return (record.sourceIDs || []).map(id => {
+            const snapshot = record.sourceSnapshots && record.sourceSnapshots[id];
+            return snapshot ? snapshot.type : '?';
+        });
+    }
+
+    // count, min, max, mean, median, stdDev and an equal-width histogram over [0, 1];
+    // scores above 1 fall in the last bin
+    static distribution(values, bins = 10) {
+        const histogram = new Array(bins).fill(0);
+        if (values.length === 0) {
+            return { count: 0, min: null, max: null, mean: null, median: null, stdDev: null, histogram };
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+        const middle = Math.floor(sorted.length / 2);
+        sorted.forEach(v => histogram[Math.max(0, Math.min(bins - 1, Math.floor(v * bins)))]++);
+
+        return {
+            count: sorted.length,
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean,
+            median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+            stdDev: Math.sqrt(EmergenceMetrics.variance(sorted)),
+            histogram
+        };
+    }
+
+    // Reload fusion history from the composer's storage adapter
+    async hydrate() {
+        const storage = this.litComposer.storage;
+        if (!storage) return this.fusionHistory;
+
+        const records = await storage.list('fusions');
+        this.fusionHistory = records.sort((a, b) => a.timestamp - b.timestamp);
+        return this.fusionHistory;
+    }
+
     getAvailablePatterns() {
         return Array.from(this.fusionPatterns.values()).map(pattern => ({
             name: pattern.name,
             description: pattern.description,
             usageCount: pattern.usageCount,
-            threshold: pattern.resonanceThreshold
+            threshold: pattern.resonanceThreshold,
+            weights: { ...(pattern.weights || EmergenceMetrics.DEFAULT_WEIGHTS) }
         }));
     }
 
-    // Suggest fusion opportunities
-    suggestFusions() {
-        const allLITs = this.litComposer.getAllLITs();
-        const suggestions = [];
+    // The best fusion opportunities; see FusionSuggestionEngine.suggest for options
+    suggestFusions(options = {}) {
+        return this.suggestions.suggest({ limit: 5, ...options }).suggestions;
+    }
+}
+
+// Finds fusion opportunities without comparing every pair of LITs. LITs are indexed by type
+// and coherence bucket, and only the strongest few of each bucket enter the candidate pool.
+// Pairs from the pool are grown into larger groups and ranked by predicted emergence.
+class FusionSuggestionEngine {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.options = {
+            bucketSize: 0.1,          // width of a coherence bucket
+            minCoherence: 0.5,        // LITs below this are never suggested
+            perBucket: 5,             // LITs taken from each type/bucket into the pool
+            poolSize: 60,             // upper bound on the pool, highest coherence first
+            minGroupSize: 2,
+            maxGroupSize: 4,
+            beamWidth: 20,            // groups of each size kept for growing into the next size
+            ...options
+        };
+
+        // Rebuilt lazily after any composer event
+        this.index = null;
+        engine.litComposer.on('*', () => {
+            this.index = null;
+        });
+    }
+
+    // type -> bucket -> LITs by value, highest first
+    buildIndex() {
+        const index = new Map();
 
-        // Look for high-coherence LIT pairs
-        for (let i = 0; i < allLITs.length - 1; i++) {
-            for (let j = i + 1; j < allLITs.length; j++) {
-                const lit1 = allLITs[i];
-                const lit2 = allLITs[j];
+        this.engine.litComposer.getAllLITs().forEach(lit => {
+            const bucket = Math.floor(lit.coherenceField.coherenceScore / this.options.bucketSize);
+            if (!index.has(lit.type)) index.set(lit.type, new Map());
+            const buckets = index.get(lit.type);
+            if (!buckets.has(bucket)) buckets.set(bucket, []);
+            buckets.get(bucket).push({ lit, value: lit.calculateValue() });
+        });
 
-                const avgCoherence = (lit1.coherenceField.coherenceScore + lit2.coherenceField.coherenceScore) / 2;
+        index.forEach(buckets => buckets.forEach(entries => entries.sort((a, b) => b.value - a.value)));
+        return index;
+    }
 
-                if (avgCoherence > 0.5) {
-                    const pattern = this.selectFusionPattern([lit1, lit2]);
-                    suggestions.push({
-                        lits: [lit1.id, lit2.id],
-                        pattern: pattern.name,
-                        potential: avgCoherence,
-                        types: [lit1.type, lit2.type]
-                    });
-                }
+    candidatePool(options) {
+        if (!this.index) this.index = this.buildIndex();
+
+        const pool = [];
+        const lowestBucket = Math.floor(options.minCoherence / options.bucketSize);
+
+        this.index.forEach((buckets, type) => {
+            if (options.types && !options.types.includes(type)) return;
+
+            buckets.forEach((entries, bucket) => {
+                if (bucket < lowestBucket) return;
+                entries
+                    .filter(entry => entry.lit.coherenceField.coherenceScore >= options.minCoherence)
+                    .slice(0, options.perBucket)
+                    .forEach(entry => pool.push(entry.lit));
+            });
+        });
+
+        return pool
+            .sort((a, b) => b.coherenceField.coherenceScore - a.coherenceField.coherenceScore)
+            .slice(0, options.poolSize);
+    }
+
+    // options: any constructor option, plus types (LIT types to consider), offset and limit.
+    // Returns { total, offset, limit, suggestions }.
+    suggest(options = {}) {
+        const settings = { ...this.options, offset: 0, limit: 10, ...options };
+        const pool = this.candidatePool(settings);
+        const excluded = this.fusedCombinations();
+        const found = new Map();
+
+        const consider = group => {
+            const key = FusionSuggestionEngine.key(group);
+            if (found.has(key) || excluded.has(key) || this.linked(group)) return null;
+
+            const pattern = this.engine.selectFusionPattern(group);
+            if (!pattern || !pattern.canFuse(group)) return null;
+
+            const predicted = this.predict(group);
+            const suggestion = {
+                lits: group.map(lit => lit.id),
+                pattern: pattern.name,
+                potential: predicted.emergenceScore,
+                predicted: predicted.toJSON(),
+                types: group.map(lit => lit.type)
+            };
+            found.set(key, { group, suggestion });
+            return found.get(key);
+        };
+
+        // Pairs, then a beam search that adds one LIT at a time to the best groups
+        let frontier = [];
+        for (let i = 0; i < pool.length - 1; i++) {
+            for (let j = i + 1; j < pool.length; j++) {
+                const entry = consider([pool[i], pool[j]]);
+                if (entry) frontier.push(entry);
             }
         }
 
-        // Sort by potential
-        return suggestions.sort((a, b) => b.potential - a.potential).slice(0, 5);
+        for (let size = 3; size <= settings.maxGroupSize; size++) {
+            const next = [];
+            FusionSuggestionEngine.best(frontier, settings.beamWidth).forEach(({ group }) => {
+                pool.filter(lit => !group.includes(lit)).forEach(lit => {
+                    const entry = consider([...group, lit]);
+                    if (entry) next.push(entry);
+                });
+            });
+            frontier = next;
+        }
+
+        const ranked = Array.from(found.values())
+            .map(entry => entry.suggestion)
+            .filter(suggestion => suggestion.lits.length >= settings.minGroupSize)
+            .sort((a, b) => b.potential - a.potential);
+
+        return {
+            total: ranked.length,
+            offset: settings.offset,
+            limit: settings.limit,
+            suggestions: ranked.slice(settings.offset, settings.offset + settings.limit)
+        };
+    }
+
+    // Emergence estimated from the inputs alone, without running the pattern: novelty from
+    // how little content structure the LITs share, synergy from their agency, stability
+    // from their coherence and resonance exactly as EmergenceMetrics measures it
+    predict(group) {
+        const metrics = new EmergenceMetrics();
+        const coherences = group.map(lit => lit.coherenceField.coherenceScore);
+        const keySets = group.map(lit => new Set(Object.keys(lit.content || {})));
+        const union = new Set(keySets.flatMap(keys => [...keys]));
+        const shared = [...union].filter(key => keySets.every(keys => keys.has(key)));
+
+        metrics.novelty = union.size > 0 ? 1 - shared.length / union.size : 0;
+        metrics.synergy = group.reduce((sum, lit) => sum + lit.agentSystem.agencyScore, 0) / group.length;
+        metrics.stability = coherences.reduce((sum, c) => sum + c, 0) / group.length;
+        metrics.resonance = 1 - Math.min(1, metrics.calculateVariance(coherences));
+        return metrics;
+    }
+
+    // Source combinations of fusions that have not been defused
+    fusedCombinations() {
+        const defused = new Set(this.engine.fusionHistory.filter(r => r.kind === 'defusion').map(r => r.fusionID));
+        return new Set(this.engine.fusionHistory
+            .filter(r => r.kind === 'fusion' && !defused.has(r.id))
+            .map(r => FusionSuggestionEngine.key(r.sourceIDs)));
+    }
+
+    // A fused LIT and one of its own sources are never suggested together
+    linked(group) {
+        const ids = new Set(group.map(lit => lit.id));
+        return group.some(lit => lit.relations.some(r =>
+            (r.type === 'fused-from' || r.type === 'fused-into') && ids.has(r.targetId)));
+    }
+
+    static key(group) {
+        return group.map(item => (typeof item === 'string' ? item : item.id)).sort().join('|');
+    }
+
+    static best(entries, count) {
+        return entries
+            .slice()
+            .sort((a, b) => b.suggestion.potential - a.suggestion.potential)
+            .slice(0, count);
     }
 }
 
+// Built-in declarative patterns, in the same format loadPatterns() reads from JSON
+XenialFusionEngine.DEFAULT_PATTERNS = [
+    {
+        // Knowledge + Knowledge = Higher-order understanding; the fallback for any LITs
+        name: 'Harmonic Synthesis',
+        description: 'Combines related knowledge into coherent understanding',
+        priority: 0,
+        match: {},
+        output: {
+            type: 'synthesis',
+            relations: 'fused-from',
+            content: {
+                fusionType: 'harmonic-synthesis',
+                sourceTopics: { $each: ['content.topic', 'content.name'], default: 'concept' },
+                synthesizedKnowledge: { $join: { $each: ['content.knowledge', 'content.description'], default: '' }, with: ' ⊕ ' },
+                id: 'synthesis-{{now}}',
+                persistent: true,
+                value: 1.0,
+                metadata: {
+                    sourceCount: '{{count}}',
+                    fusedAt: '{{iso}}'
+                }
+            },
+            metadata: {
+                domain: 'emergent-epistemology',
+                created: '{{iso}}'
+            }
+        }
+    },
+    {
+        // Any high-value LITs = Transcendent Pattern
+        name: 'Xenial Transcendence',
+        description: 'Fuses high-coherence LITs into transcendent patterns',
+        priority: 40,
+        reversible: false,
+        match: { minAverageValue: 0.7 },
+        output: {
+            type: 'xenial-transcendence',
+            content: {
+                fusionType: 'xenial-transcendence',
+                name: 'Transcendent Pattern',
+                description: 'A higher-order coherent structure that transcends its components',
+                constituents: { $each: { id: { $path: 'id' }, type: { $path: 'type' }, contribution: { $path: 'value' } } },
+                transcendenceLevel: { $mul: [{ $avg: { $each: 'value' } }, 1.5] },
+                collectiveAgency: { $sum: { $each: 'agency' } },
+                id: 'transcendent-{{now}}',
+                persistent: true,
+                value: { $mul: [{ $avg: { $each: 'value' } }, 1.5] },
+                metadata: {
+                    constituentCount: '{{count}}',
+                    emergence: 'xenial'
+                }
+            },
+            metadata: {
+                domain: 'transcendent',
+                created: '{{iso}}'
+            },
+            capabilities: ['resonate']
+        }
+    }
+];
+
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { XenialFusionEngine, FusionPattern, EmergenceMetrics };
+    module.exports = {
+        XenialFusionEngine,
+        FusionPattern,
+        EmergenceMetrics,
+        TemporalFusionPattern,
+        TemporalEmergenceMetrics,
+        DeclarativeFusionPattern,
+        FusionDefinitionError,
+        FusionSuggestionEngine
+    };
 } else {
     window.XenialFusionEngine = XenialFusionEngine;
     window.FusionPattern = FusionPattern;
     window.EmergenceMetrics = EmergenceMetrics;
+    window.TemporalFusionPattern = TemporalFusionPattern;
+    window.TemporalEmergenceMetrics = TemporalEmergenceMetrics;
+    window.DeclarativeFusionPattern = DeclarativeFusionPattern;
+    window.FusionDefinitionError = FusionDefinitionError;
+    window.FusionSuggestionEngine = FusionSuggestionEngine;
 }